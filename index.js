@@ -1,19 +1,93 @@
-import { extension_settings } from '../../../extensions.js';
-import { saveSettingsDebounced, getRequestHeaders } from '../../../../script.js';
+import { extension_settings, getContext, writeExtensionField, saveMetadataDebounced } from '../../../extensions.js';
+import {
+    saveSettingsDebounced,
+    getRequestHeaders,
+    eventSource,
+    event_types,
+    setExtensionPrompt,
+    extension_prompt_types,
+    extension_prompt_roles,
+    substituteParams,
+} from '../../../../script.js';
+import { MacrosParser } from '../../../macros.js';
+import { download } from '../../../utils.js';
+import { localforage } from '../../../../lib.js';
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument } from '../../../slash-commands/SlashCommandArgument.js';
 // toastr is global
 
 const extensionName = "ST-BasicSpotify";
 const defaultSettings = {
     clientId: '',
-    accessToken: '',
-    refreshToken: '',
-    tokenExpiry: 0,
+    redirectUri: '', // Registered in the Spotify app; empty = SillyTavern's URL
     enablePanel: true,
     useMpris: true, // Default to MPRIS (local control, no API key needed)
+    useMusicFolder: false, // Play the server plugin's musicDir in the browser instead (takes precedence)
+    preferredPlayer: '', // MPRIS player name, empty = automatic
+    playerPriority: [], // Fallback MPRIS player names, in order
+    volumeBeforeMute: 0.5, // Restored by the mute toggle (0.0 to 1.0)
+    injectPrompt: false, // Tell the model what is playing
+    promptTemplate: '[{{user}} is currently listening to "{{track}}" by {{artist}}.]',
+    promptDepth: 4,
+    promptRole: 0, // extension_prompt_roles: 0 = system, 1 = user, 2 = assistant
+    enableSoundtracks: true, // Switch to the chat's/character's soundtrack when a chat opens
+    restoreAfterSoundtrack: true, // Resume what played before when leaving soundtrack chats
+    fadeOnPlayPause: false, // Fade in and out when playing and pausing by hand
+    fadeSeconds: 2, // Length of those fades
+    duckMode: 'off', // 'off', 'volume' (lower to duckVolume) or 'pause' while characters speak
+    duckVolume: 20, // Percent of the current volume while ducked
+    duckOnGeneration: true, // Duck while a reply is generated
+    duckOnTts: true, // Duck while SillyTavern's TTS speaks
+    enableHistory: true, // Record played tracks
+    historyLimit: 2000, // Oldest entries are dropped beyond this
+    enableMediaSession: true, // Lock screen / media key controls via navigator.mediaSession
+    panelTheme: 'classic', // 'classic' (Spotify green), 'dynamic' (album art colors) or 'sillytavern'
 };
 
 let settings = Object.assign({}, defaultSettings);
-let pollingInterval = null;
+let pollTimeout = null;
+let pollingActive = false;
+// Failed polls in a row; each one doubles the delay
+let pollFailures = 0;
+let progressTicker = null;
+let progressAnimation = null;
+let eventStream = null;
+let streamRetryTimeout = null;
+
+// Last state received from fetchPlayerState() or the event stream
+let lastPlayerState = null;
+let lastStateReceivedAt = 0;
+
+// Retry the event stream this long after it drops (polling covers the gap)
+const STREAM_RETRY_MS = 30000;
+
+// Poll delays: quick while music plays in a visible tab, slower otherwise, and backing off on errors
+const POLL_PLAYING_MS = 1000;
+const POLL_PAUSED_MS = 5000;
+const POLL_HIDDEN_MS = 10000;
+const POLL_BACKOFF_MAX_MS = 60000;
+// Failed polls in a row before the player counts as gone; until then the last state stays up
+const POLL_GONE_FAILURES = 3;
+// Between states the progress bar and lyrics advance locally this often (matches the CSS transition)
+const PROGRESS_TICK_MS = 250;
+
+// Volume changed from the panel; incoming states may still carry the old level for a moment
+const VOLUME_STEP = 0.05;
+const VOLUME_SEND_INTERVAL_MS = 150;
+const VOLUME_SETTLE_MS = 1500;
+let volumeChangedAt = 0;
+let volumeSendTimeout = null;
+// Volume fades: one step per request; a new fade or a panel change cancels the running one
+const FADE_STEP_MS = 250;
+let fadeId = 0;
+
+// The plugin's controlAccess policy can leave this user with status only (MPRIS mode)
+const READ_ONLY_MESSAGE = 'Your account can only see what is playing. An admin can give you control.';
+let mprisReadOnly = false;
+
+// Album art size requested from the plugin; large enough for lock screen artwork
+const ART_SIZE = 512;
 
 // HTML Elements
 let playerPanel = null;
@@ -41,13 +115,39 @@ function saveSettings() {
 // AUTHENTICATION (PKCE)
 // =============================================================================
 
+// Callback page served by the server plugin, an alternative to loading all of SillyTavern in the popup
+const AUTH_CALLBACK_PATH = '/api/plugins/mpris/spotify/callback';
+
+// Server plugin routes that keep the Spotify tokens and proxy the Web API
+const SPOTIFY_PROXY_PATH = '/api/plugins/mpris/spotify';
+
+// Where older versions kept the login, moved to the server plugin on load
+const LEGACY_TOKEN_FIELDS = ['accessToken', 'refreshToken', 'tokenExpiry'];
+
+// Listener waiting for the login popup to report back, at most one at a time
+let authMessageListener = null;
+
+/**
+ * Login state reported by the server plugin; the tokens never reach the browser
+ * @type {{available: boolean, connected: boolean, scope: string}}
+ */
+let spotifySession = { available: false, connected: false, scope: '' };
+
+/**
+ * Cryptographically random string of PKCE-safe characters
+ * @param {number} length
+ */
 function generateRandomString(length) {
-    let text = '';
-    const possible = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-    for (let i = 0; i < length; i++) {
-        text += possible.charAt(Math.floor(Math.random() * possible.length));
-    }
-    return text;
+    // 64 characters, so masking a random byte picks each one with equal probability
+    const possible = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+    return Array.from(window.crypto.getRandomValues(new Uint8Array(length)), byte => possible[byte & 63]).join('');
+}
+
+/**
+ * Redirect URI registered in the Spotify app; SillyTavern's own URL unless configured
+ */
+function getRedirectUri() {
+    return settings.redirectUri.trim() || window.location.origin + '/';
 }
 
 async function generateCodeChallenge(codeVerifier) {
@@ -60,21 +160,34 @@ async function generateCodeChallenge(codeVerifier) {
         .replace(/=+$/, '');
 }
 
+// Playback control plus the library drawer (queue, search, playlists)
+const SPOTIFY_SCOPES = [
+    'user-read-playback-state',
+    'user-modify-playback-state',
+    'user-read-currently-playing',
+    'playlist-read-private',
+    'playlist-read-collaborative',
+];
+
 async function initiateAuth() {
+    if (!spotifySession.available) {
+        toastr.warning('Spotify API mode needs the MPRIS server plugin, which keeps the login. See the README.');
+        return;
+    }
     if (!settings.clientId) {
         toastr.warning("Please enter a Client ID in the settings first.");
         return;
     }
 
     const codeVerifier = generateRandomString(128);
+    const state = generateRandomString(32);
     localStorage.setItem('spotify_code_verifier', codeVerifier);
+    localStorage.setItem('spotify_auth_state', state);
 
     const codeChallenge = await generateCodeChallenge(codeVerifier);
-    const state = generateRandomString(16);
-    const scope = 'user-read-playback-state user-modify-playback-state user-read-currently-playing';
-    // Removed protocol from redirectUri to be flexible, but Spotify requires exact match.
-    // Assuming standard ST running on localhost:8000 for now, or user configured.
-    const redirectUri = window.location.origin + '/';
+    const scope = SPOTIFY_SCOPES.join(' ');
+    // Spotify requires an exact match with a redirect URI registered in the app
+    const redirectUri = getRedirectUri();
 
     const args = new URLSearchParams({
         response_type: 'code',
@@ -86,322 +199,1329 @@ async function initiateAuth() {
         code_challenge: codeChallenge
     });
 
-    window.open('https://accounts.spotify.com/authorize?' + args, '_blank', 'width=500,height=600');
+    // The popup lands on the redirect URI (SillyTavern itself or the plugin's callback page),
+    // which posts the result back here; both are same-origin
+    listenForAuthResult();
 
-    // Listen for the callback (hacky but works for extensions without backend)
-    // The popup will redirect to window.location.origin/?code=...
-    // We can't easily intercept that in the main window unless we are the parent.
-    // Standard ST extensions often use a manual "Paste Code" or a custom local server.
-    // However, if we use the popup approach, the user sees ST open in the popup.
-    // A better way for *client-side only* is "Implicit Grant" but that's deprecated.
-    // PKCE is standard.
+    const popup = window.open('https://accounts.spotify.com/authorize?' + args, '_blank', 'width=500,height=600');
+    if (!popup) {
+        toastr.warning('The login popup was blocked. Allow popups for SillyTavern and try again.');
+        return;
+    }
 
-    // Strategy: The popup will load SillyTavern. We need to detect if we are IN the popup and just grabbed the code.
-    // BUT index.js runs in the main window.
-    // If the user authenticates in the popup, the popup will eventually redirect to localhost:8000/?code=...
-    // We can ask the user to copy the URL code, OR we can try to listen to message events if we are same-origin.
+    toastr.info("After authorizing, if the popup doesn't close by itself, copy its address into \"Paste Redirect URL\" in the settings.");
+}
 
-    window.addEventListener('message', async (event) => {
-        if (event.origin !== window.location.origin) return;
-        if (event.data?.type === 'spotify-auth-code') {
-            const code = event.data.code;
-            if (code) {
-                await exchangeCodeForToken(code);
-            }
-        }
-    });
+/**
+ * Wait for the login popup's message, replacing any earlier listener
+ */
+function listenForAuthResult() {
+    stopListeningForAuthResult();
+    authMessageListener = (event) => {
+        if (event.origin !== window.location.origin || event.data?.type !== 'spotify-auth-code') return;
+        stopListeningForAuthResult();
+        completeAuth(event.data);
+    };
+    window.addEventListener('message', authMessageListener);
+}
+
+function stopListeningForAuthResult() {
+    if (authMessageListener) window.removeEventListener('message', authMessageListener);
+    authMessageListener = null;
+}
+
+/**
+ * Finish a login from the values Spotify appended to the redirect URI
+ * @param {{code?: string|null, state?: string|null, error?: string|null}} result
+ */
+async function completeAuth({ code, state, error }) {
+    const expectedState = localStorage.getItem('spotify_auth_state');
+    if (error) {
+        toastr.error(`Spotify authorization failed: ${error}`);
+        return;
+    }
+    // Reject codes from another login attempt or from a forged redirect
+    if (!code || !expectedState || state !== expectedState) {
+        toastr.error('This Spotify login response does not belong to the current login attempt. Please connect again.');
+        return;
+    }
+
+    localStorage.removeItem('spotify_auth_state');
+    stopListeningForAuthResult();
+    await exchangeCodeForToken(code);
+}
 
-    toastr.info("After authorizing, if the popup doesn't close automatically, please look for the 'Success' message.");
+/**
+ * Finish a login from a redirect URL pasted by the user
+ * @param {string} text - Full address the popup ended up on
+ */
+async function completeAuthFromUrl(text) {
+    let params;
+    try {
+        params = new URL(text.trim()).searchParams;
+    } catch {
+        toastr.warning('That is not a valid URL.');
+        return;
+    }
+    await completeAuth({ code: params.get('code'), state: params.get('state'), error: params.get('error') });
 }
 
 // This function checks URL params on load to see if we are the redirect target
 async function checkAuthRedirect() {
     const urlParams = new URLSearchParams(window.location.search);
-    const code = urlParams.get('code');
-
-    // If we have a code and we have a verifier in storage, we are likely the auth popup
-    if (code && localStorage.getItem('spotify_code_verifier')) {
-        // Send code to opener
-        if (window.opener) {
-            window.opener.postMessage({ type: 'spotify-auth-code', code: code }, window.location.origin);
-            window.close();
-        } else {
-            // Fallback: If for some reason we aren't a popup (user navigated main tab), handle it here
-            await exchangeCodeForToken(code);
-            // Clear URL
-            window.history.replaceState({}, document.title, window.location.pathname);
-        }
+    const result = { code: urlParams.get('code'), state: urlParams.get('state'), error: urlParams.get('error') };
+
+    // Only handle redirects while one of our logins is pending
+    if (!result.state || !localStorage.getItem('spotify_auth_state')) return;
+
+    if (window.opener) {
+        // The opener checks the state and exchanges the code
+        window.opener.postMessage({ type: 'spotify-auth-code', ...result }, window.location.origin);
+        window.close();
+    } else {
+        // Fallback: If for some reason we aren't a popup (user navigated main tab), handle it here
+        await completeAuth(result);
+        // Clear URL
+        window.history.replaceState({}, document.title, window.location.pathname);
     }
 }
 
 async function exchangeCodeForToken(code) {
     const codeVerifier = localStorage.getItem('spotify_code_verifier');
-    const redirectUri = window.location.origin + '/';
+    // A verifier is good for one exchange only
+    localStorage.removeItem('spotify_code_verifier');
 
     try {
-        const response = await fetch('https://accounts.spotify.com/api/token', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded',
-            },
-            body: new URLSearchParams({
-                client_id: settings.clientId,
-                grant_type: 'authorization_code',
-                code: code,
-                redirect_uri: redirectUri,
-                code_verifier: codeVerifier,
-            }),
+        // The server plugin redeems the code and keeps the tokens
+        await postSpotifySession('token', {
+            clientId: settings.clientId,
+            code: code,
+            codeVerifier: codeVerifier,
+            redirectUri: getRedirectUri(),
         });
+        toastr.success("Connected to Spotify successfully!");
+        startPolling();
+    } catch (err) {
+        console.error("Spotify Auth Error:", err);
+        toastr.error(`Failed to authenticate with Spotify: ${err.message}`);
+    }
+}
 
+/**
+ * Ask the server plugin whether this user has a Spotify login
+ */
+async function loadSpotifySession() {
+    try {
+        const response = await fetch(`${SPOTIFY_PROXY_PATH}/session`);
+        if (!response.ok) throw new Error(`Status ${response.status}`);
         const data = await response.json();
-
-        if (data.access_token) {
-            settings.accessToken = data.access_token;
-            settings.refreshToken = data.refresh_token;
-            settings.tokenExpiry = Date.now() + (data.expires_in * 1000);
-            saveSettings();
-            toastr.success("Connected to Spotify successfully!");
-            updateSettingsStatus();
-            startPolling();
-        } else {
-            console.error("Spotify Auth Error:", data);
-            toastr.error("Failed to authenticate with Spotify.");
-        }
+        spotifySession = { available: true, connected: data.connected === true, scope: data.scope || '' };
     } catch (err) {
-        console.error(err);
-        toastr.error("Network error during Spotify authentication.");
+        // Without the server plugin there is nowhere to keep the tokens
+        spotifySession = { available: false, connected: false, scope: '' };
     }
+    updateSettingsStatus();
 }
 
-async function refreshAccessToken() {
-    if (!settings.refreshToken || !settings.clientId) return false;
+/**
+ * Change the login kept by the server plugin
+ * @param {'token'|'import'|'logout'} action
+ * @param {object} [body]
+ * @throws {Error} With the server's message and HTTP `status`
+ */
+async function postSpotifySession(action, body = {}) {
+    const response = await fetch(`${SPOTIFY_PROXY_PATH}/${action}`, {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify(body),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw Object.assign(new Error(data.error || `Status ${response.status}`), { status: response.status });
+    }
+    spotifySession = { available: true, connected: data.connected === true, scope: data.scope || '' };
+    updateSettingsStatus();
+}
 
-    try {
-        const response = await fetch('https://accounts.spotify.com/api/token', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded',
-            },
-            body: new URLSearchParams({
-                client_id: settings.clientId,
-                grant_type: 'refresh_token',
-                refresh_token: settings.refreshToken,
-            }),
-        });
+/**
+ * Move a login saved in the settings by older versions into the server plugin
+ */
+async function migrateStoredTokens() {
+    if (!settings.refreshToken || !spotifySession.available) return;
 
-        const data = await response.json();
-        if (data.access_token) {
-            settings.accessToken = data.access_token;
-            if (data.refresh_token) settings.refreshToken = data.refresh_token;
-            settings.tokenExpiry = Date.now() + (data.expires_in * 1000);
-            saveSettings();
-            return true;
-        } else {
-            console.warn("Failed to refresh token", data);
-            toastr.warning("Spotify session expired. Please reconnect.");
-            return false;
-        }
+    try {
+        await postSpotifySession('import', { clientId: settings.clientId, refreshToken: settings.refreshToken });
     } catch (err) {
-        console.error(err);
-        return false;
+        // Keep the tokens for another try unless Spotify rejected them
+        if (err.status !== 400) {
+            console.warn('Spotify: could not move the saved login to the server plugin:', err);
+            return;
+        }
     }
+    for (const field of LEGACY_TOKEN_FIELDS) {
+        delete settings[field];
+    }
+    saveSettings();
 }
 
-async function getValidToken() {
-    if (!settings.accessToken) return null;
-    if (Date.now() > settings.tokenExpiry - 60000) {
-        if (await refreshAccessToken()) {
-            return settings.accessToken;
-        } else {
-            return null;
-        }
+/**
+ * Call the Spotify Web API through the server plugin, which adds the access token
+ * @param {string} path - Path under /v1/, optionally with a query string
+ * @param {string} [method]
+ * @param {object} [body] - JSON body
+ * @returns {Promise<Response>}
+ */
+async function spotifyFetch(path, method = 'GET', body = undefined) {
+    const response = await fetch(`${SPOTIFY_PROXY_PATH}/api/${path}`, {
+        method: method,
+        headers: getRequestHeaders(),
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    if (response.status === 401 && spotifySession.connected) {
+        // The server dropped a login Spotify no longer accepts
+        spotifySession.connected = false;
+        updateSettingsStatus();
+        toastr.warning("Spotify session expired. Please reconnect.");
     }
-    return settings.accessToken;
+    return response;
 }
 
 // =============================================================================
 // PLAYER LOGIC
 // =============================================================================
 
+/**
+ * Fetch the normalized player state
+ * @returns {Promise<object|null>} Null when nothing is playing or the state couldn't be fetched
+ */
 async function fetchPlayerState() {
+    try {
+        return await requestPlayerState();
+    } catch (err) {
+        console.error('Player State Fetch Error:', err);
+        return null;
+    }
+}
+
+/**
+ * Fetch the normalized player state, failing loudly so that polling can back off
+ * @returns {Promise<object|null>} Null when nothing is playing
+ * @throws {Error} When the plugin or Spotify can't be reached
+ */
+async function requestPlayerState() {
+    if (settings.useMusicFolder) {
+        return getFolderState();
+    }
+
     // Use MPRIS if enabled
     if (settings.useMpris) {
         return await fetchMprisState();
     }
 
     // Fallback to Spotify API
-    const token = await getValidToken();
-    if (!token) return null;
-
-    try {
-        const response = await fetch('https://api.spotify.com/v1/me/player/currently-playing', {
-            headers: { 'Authorization': `Bearer ${token}` }
-        });
+    if (!spotifySession.connected) return null;
 
-        if (response.status === 204) {
-            return null; // No content, not playing
-        }
+    // /me/player (unlike /currently-playing) includes the active device and its volume
+    const response = await spotifyFetch('me/player');
 
-        if (response.status !== 200) {
-            throw new Error(`Status ${response.status}`);
-        }
+    if (response.status === 204) {
+        return null; // No content, not playing
+    }
 
-        return await response.json();
-    } catch (err) {
-        console.error('Spotify Player Fetch Error:', err);
-        return null;
+    if (response.status !== 200) {
+        throw new Error(`Spotify status ${response.status}`);
     }
+
+    return normalizeSpotifyState(await response.json());
 }
 
-async function controlPlayer(command, method = 'POST') {
+/**
+ * Add the fields the UI shares with MPRIS mode to a Spotify /me/player response
+ */
+function normalizeSpotifyState(data) {
+    const volumePercent = data.device?.volume_percent;
+    return {
+        ...data,
+        shuffle: data.shuffle_state === true,
+        loop: SPOTIFY_REPEAT_TO_LOOP[data.repeat_state] || 'None',
+        volume: typeof volumePercent === 'number' ? volumePercent / 100 : null,
+    };
+}
+
+/**
+ * Send a transport command to the active player
+ * @param {string} command - Spotify /me/player endpoint, optionally with a query string
+ * @param {string} [method] - HTTP method for the Spotify API
+ * @param {object} [body] - JSON body for the Spotify API (e.g. context_uri for play)
+ * @returns {Promise<boolean>} Whether the command was accepted
+ */
+async function controlPlayer(command, method = 'POST', body = undefined) {
+    if (settings.useMusicFolder) {
+        return await controlFolder(command);
+    }
+
     // Use MPRIS if enabled
     if (settings.useMpris) {
+        if (denyReadOnly()) return false;
         return await controlMpris(command);
     }
 
     // Fallback to Spotify API
-    const token = await getValidToken();
-    if (!token) {
+    if (!spotifySession.connected) {
         toastr.warning('Not connected to Spotify.');
-        return;
+        return false;
     }
 
     try {
-        const url = `https://api.spotify.com/v1/me/player/${command}`;
-        const response = await fetch(url, {
-            method: method,
-            headers: { 'Authorization': `Bearer ${token}` }
-        });
+        const response = await spotifyFetch(`me/player/${command}`, method, body);
 
-        if (response.status === 403) {
+        if (response.status === 401) {
+            return false; // Already reported by spotifyFetch
+        } else if (response.status === 403) {
             toastr.error("Spotify Premium required for controls (or no active device found).");
         } else if (response.status === 404) {
             toastr.warning("No active Spotify device found. Start playback on a device first.");
-        } else if (response.status !== 204) { // 204 No Content is success for some commands
+        } else if (!response.ok) { // Most commands answer 204 No Content, some 200 or 202
             throw new Error(`Status ${response.status}`);
         }
+        return response.ok;
 
     } catch (err) {
         console.error('Spotify control error:', err);
         toastr.error('Failed to send command.');
+        return false;
+    }
+}
+
+/**
+ * Player target sent with every MPRIS request so that status and controls
+ * resolve to the same player on the server
+ */
+function getMprisTarget() {
+    return {
+        player: settings.preferredPlayer || '',
+        priority: (settings.playerPriority || []).join(','),
+    };
+}
+
+/**
+ * Whether this user may only watch: MPRIS mode under a plugin policy (controlAccess) that denies them control
+ */
+function isReadOnly() {
+    return settings.useMpris && !settings.useMusicFolder && mprisReadOnly;
+}
+
+/**
+ * Ask the plugin whether this user may control the players, and show or hide the panel controls
+ */
+async function checkMprisAccess() {
+    try {
+        const response = await fetch('/api/plugins/mpris/access');
+        if (response.ok) {
+            mprisReadOnly = (await response.json()).control === false;
+        }
+    } catch (err) {
+        console.error('MPRIS access check error:', err);
+    }
+    applyReadOnly();
+}
+
+function applyReadOnly() {
+    playerPanel?.classList.toggle('read-only', isReadOnly());
+}
+
+/**
+ * Refuse a control for read-only users before it reaches the plugin
+ * @returns {boolean} True when the control must not be sent
+ */
+function denyReadOnly() {
+    if (!isReadOnly()) return false;
+    toastr.warning(READ_ONLY_MESSAGE);
+    return true;
+}
+
+/**
+ * A 403 means the plugin's policy changed since checkMprisAccess(): switch to read-only
+ * @param {Response} response
+ * @returns {boolean} Whether the request was denied
+ */
+function noteMprisDenied(response) {
+    if (response.status !== 403) return false;
+    mprisReadOnly = true;
+    applyReadOnly();
+    toastr.warning(READ_ONLY_MESSAGE);
+    return true;
+}
+
+/**
+ * Fetch the list of running MPRIS players
+ * @returns {Promise<{players: string[], active: string|null}>}
+ */
+async function fetchMprisPlayers() {
+    try {
+        const response = await fetch('/api/plugins/mpris/players?' + new URLSearchParams(getMprisTarget()));
+        if (!response.ok) return { players: [], active: null };
+        return await response.json();
+    } catch (err) {
+        console.error('MPRIS player list error:', err);
+        return { players: [], active: null };
+    }
+}
+
+/**
+ * Fill the sidebar and settings player pickers with the running players
+ */
+async function refreshPlayerPickers() {
+    const { players, active } = await fetchMprisPlayers();
+    const preferred = settings.preferredPlayer || '';
+
+    // Keep the saved preference selectable even while that player is closed
+    const names = preferred && !players.includes(preferred) ? [...players, preferred] : players;
+
+    const options = [
+        ['', active && !preferred ? `Auto (${active})` : 'Auto'],
+        ...names.map(name => [name, players.includes(name) ? name : `${name} (not running)`]),
+    ];
+
+    for (const id of ['spotify_player_select', 'spotify_preferred_player']) {
+        const select = document.getElementById(id);
+        if (!select) continue;
+
+        // Rebuilding closes a list the user may have open, so only do it when something changed
+        const current = [...select.options].map(option => [option.value, option.textContent]);
+        if (JSON.stringify(current) !== JSON.stringify(options)) {
+            select.innerHTML = '';
+            for (const [value, text] of options) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                select.appendChild(option);
+            }
+        }
+        select.value = preferred;
+    }
+}
+
+function setPreferredPlayer(name) {
+    settings.preferredPlayer = name || '';
+    saveSettings();
+    refreshPlayerPickers();
+    // The event stream is bound to the old target
+    if (eventStream) {
+        connectEventStream();
     }
+    updatePlayerUI();
 }
 
 /**
  * Control player via MPRIS plugin
+ * @param {string} command - play, pause, play-pause, next or previous
+ * @returns {Promise<boolean>} Whether the command was accepted; false for commands MPRIS has no endpoint for
  */
 async function controlMpris(command) {
     // Map Spotify API commands to MPRIS endpoints
     const commandMap = {
         'play': 'play',
         'pause': 'pause',
+        'play-pause': 'play-pause',
         'next': 'next',
         'previous': 'previous',
     };
 
-    const mprisCommand = commandMap[command] || 'play-pause';
+    const mprisCommand = commandMap[command];
+    if (!mprisCommand) {
+        console.warn(`MPRIS: unsupported command "${command}"`);
+        return false;
+    }
 
     try {
         const response = await fetch(`/api/plugins/mpris/${mprisCommand}`, {
             method: 'POST',
             headers: getRequestHeaders(),
+            body: JSON.stringify(getMprisTarget()),
         });
-        if (!response.ok) {
+        if (!response.ok && !noteMprisDenied(response)) {
             toastr.warning('MPRIS plugin not available.');
         }
+        return response.ok;
     } catch (err) {
         console.error('MPRIS control error:', err);
         toastr.error('Failed to control player.');
+        return false;
     }
 }
 
 /**
  * Fetch player state from MPRIS plugin
+ * @throws {Error} When the plugin can't be reached
  */
 async function fetchMprisState() {
-    try {
-        const response = await fetch('/api/plugins/mpris/status');
-        if (!response.ok) {
-            console.warn('MPRIS plugin not available. Is enableServerPlugins: true in config.yaml?');
-            return null;
-        }
-        const data = await response.json();
-        if (!data.available) return null;
-
-        // Convert to Spotify API-like format for compatibility
-        return {
-            is_playing: data.playing,
-            item: {
-                name: data.title,
-                artists: [{ name: data.artist }],
-                album: {
-                    images: data.artUrl ? [{ url: data.artUrl }] : [],
-                },
-                duration_ms: data.duration_ms || 0,
-            },
-            progress_ms: data.progress_ms || 0,
-            shuffle: data.shuffle || false,
-            loop: data.loop || 'None',
-        };
-    } catch (err) {
-        console.error('MPRIS Fetch Error:', err);
-        return null;
+    const response = await fetch('/api/plugins/mpris/status?' + new URLSearchParams(getMprisTarget()));
+    if (response.status === 404) {
+        throw new Error('MPRIS plugin not available. Is enableServerPlugins: true in config.yaml?');
     }
+    if (!response.ok) {
+        throw new Error(`MPRIS status ${response.status}`);
+    }
+    return normalizeMprisState(await response.json());
+}
+
+/**
+ * Album art through the plugin, which can read the file:// paths most players report
+ * @param {string} artUrl - mpris:artUrl as reported by the player
+ */
+function getArtProxyUrl(artUrl) {
+    return '/api/plugins/mpris/art?' + new URLSearchParams({ url: artUrl, size: String(ART_SIZE) });
+}
+
+/**
+ * Convert a plugin state object to the Spotify API-like format used by the UI
+ */
+function normalizeMprisState(data) {
+    if (!data || !data.available) return null;
+
+    return {
+        is_playing: data.playing,
+        item: {
+            name: data.title,
+            artists: [{ name: data.artist }],
+            album: {
+                name: data.album || '',
+                images: data.artUrl ? [{ url: getArtProxyUrl(data.artUrl) }] : [],
+            },
+            duration_ms: data.duration_ms || 0,
+        },
+        progress_ms: data.progress_ms || 0,
+        shuffle: data.shuffle || false,
+        loop: data.loop || 'None',
+        player: data.player || null,
+        volume: typeof data.volume === 'number' ? data.volume : null,
+        url: data.url || '',
+    };
 }
 
 /**
  * Seek to a specific position in seconds
+ * @returns {Promise<boolean>} Whether the player accepted
  */
 async function seekToPosition(positionSec) {
+    if (settings.useMusicFolder) {
+        return seekFolder(positionSec);
+    }
+
     if (settings.useMpris) {
+        if (denyReadOnly()) return false;
         try {
             const response = await fetch('/api/plugins/mpris/seek', {
                 method: 'POST',
                 headers: getRequestHeaders(),
-                body: JSON.stringify({ position: positionSec }),
+                body: JSON.stringify({ position: positionSec, ...getMprisTarget() }),
             });
-            if (!response.ok) {
+            if (!response.ok && !noteMprisDenied(response)) {
                 toastr.warning('Seek not supported');
             }
+            return response.ok;
         } catch (err) {
             console.error('Seek error:', err);
+            return false;
         }
     }
-    // For Spotify API, seek is more complex and requires device ID, skip for now
+
+    // Spotify seeks the active device when no device_id is given
+    return await controlPlayer(`seek?position_ms=${Math.max(0, Math.round(positionSec * 1000))}`, 'PUT');
 }
 
-// =============================================================================
-// UI CONSTRUCTION
-// =============================================================================
+/**
+ * Toggle shuffle on the active player
+ */
+async function toggleShuffle() {
+    if (settings.useMusicFolder) {
+        return toggleFolderShuffle();
+    }
 
-function createPlayerPanel() {
-    if (document.getElementById('spotify-player-sidebar')) return;
+    if (settings.useMpris) {
+        if (denyReadOnly()) return false;
+        try {
+            const response = await fetch('/api/plugins/mpris/shuffle', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify(getMprisTarget()),
+            });
+            noteMprisDenied(response);
+            return response.ok;
+        } catch (err) {
+            console.error('Shuffle error:', err);
+            return false;
+        }
+    }
 
-    playerPanel = document.createElement('div');
-    playerPanel.id = 'spotify-player-sidebar';
-    playerPanel.className = 'spotify-player-sidebar';
-    playerPanel.dataset.durationMs = '0'; // Store duration for seek calculations
+    const enabled = !(lastPlayerState?.shuffle);
+    return await controlPlayer(`shuffle?state=${enabled}`, 'PUT');
+}
 
-    // Check if previously collapsed
-    if (localStorage.getItem('spotify_sidebar_collapsed') === 'true') {
-        playerPanel.classList.add('collapsed');
+// Spotify repeat_state <-> MPRIS LoopStatus, which the UI uses for both modes
+const SPOTIFY_REPEAT_TO_LOOP = { off: 'None', context: 'Playlist', track: 'Track' };
+// Order the repeat button steps through in Spotify API mode
+const SPOTIFY_REPEAT_CYCLE = ['off', 'context', 'track'];
+
+/**
+ * Cycle repeat mode: off, whole playlist/context, single track
+ * @returns {Promise<string|null>} New mode (None, Playlist or Track), or null on failure
+ */
+async function cycleRepeat() {
+    if (settings.useMusicFolder) {
+        return cycleFolderLoop();
     }
 
-    playerPanel.innerHTML = `
-        <div class="spotify-header">
-            <div class="spotify-brand">
-                <i class="fa-brands fa-spotify spotify-icon"></i>
-                <span>Music</span>
-            </div>
-            <button class="spotify-collapse-btn" id="spotify_collapse_btn" title="Toggle View">
-               <i class="fa-solid fa-chevron-left"></i>
-            </button>
-        </div>
-        <div class="spotify-track-info">
-            <img src="" class="spotify-album-art" id="spotify_art_img" onerror="this.style.display='none'">
-            <div class="spotify-track-details">
-                <div class="spotify-track-name" id="spotify_track_name">Not Playing</div>
-                <div class="spotify-artist-name" id="spotify_artist_name">--</div>
+    if (settings.useMpris) {
+        if (denyReadOnly()) return null;
+        try {
+            const response = await fetch('/api/plugins/mpris/loop', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify(getMprisTarget()),
+            });
+            if (!response.ok) {
+                noteMprisDenied(response);
+                return null;
+            }
+            const data = await response.json();
+            return data.mode || null;
+        } catch (err) {
+            console.error('Loop error:', err);
+            return null;
+        }
+    }
+
+    const current = Object.keys(SPOTIFY_REPEAT_TO_LOOP).find(key => SPOTIFY_REPEAT_TO_LOOP[key] === lastPlayerState?.loop) || 'off';
+    const next = SPOTIFY_REPEAT_CYCLE[(SPOTIFY_REPEAT_CYCLE.indexOf(current) + 1) % SPOTIFY_REPEAT_CYCLE.length];
+    const ok = await controlPlayer(`repeat?state=${next}`, 'PUT');
+    return ok ? SPOTIFY_REPEAT_TO_LOOP[next] : null;
+}
+
+/**
+ * Set the player volume
+ * @param {number} volume - 0.0 to 1.0
+ * @returns {Promise<boolean>} Whether the player accepted
+ */
+async function setVolume(volume) {
+    volume = Math.min(1, Math.max(0, volume));
+
+    if (settings.useMusicFolder) {
+        setFolderVolume(volume);
+        return true;
+    }
+
+    if (settings.useMpris) {
+        if (denyReadOnly()) return false;
+        try {
+            const response = await fetch('/api/plugins/mpris/volume', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify({ volume, ...getMprisTarget() }),
+            });
+            if (!response.ok && !noteMprisDenied(response)) {
+                toastr.warning('Volume not supported');
+            }
+            return response.ok;
+        } catch (err) {
+            console.error('Volume error:', err);
+            return false;
+        }
+    }
+
+    return await controlPlayer(`volume?volume_percent=${Math.round(volume * 100)}`, 'PUT');
+}
+
+/**
+ * Change the volume from the panel: update the slider now, send at most every VOLUME_SEND_INTERVAL_MS
+ */
+function changeVolumeFromPanel(volume) {
+    volume = Math.min(1, Math.max(0, volume));
+    // The user takes over from any fade or duck in progress
+    cancelFade();
+    forgetDuck();
+    volumeChangedAt = Date.now();
+    if (lastPlayerState) lastPlayerState.volume = volume;
+    renderVolume(volume);
+
+    if (volumeSendTimeout) return;
+    volumeSendTimeout = setTimeout(() => {
+        volumeSendTimeout = null;
+        setVolume(lastPlayerState?.volume ?? volume);
+    }, VOLUME_SEND_INTERVAL_MS);
+}
+
+/**
+ * Mute, or restore the level from before muting
+ */
+function toggleMute() {
+    const current = lastPlayerState?.volume ?? 0;
+    if (current > 0) {
+        settings.volumeBeforeMute = current;
+        saveSettings();
+        changeVolumeFromPanel(0);
+    } else {
+        changeVolumeFromPanel(settings.volumeBeforeMute || 0.5);
+    }
+}
+
+/**
+ * Move the volume gradually, one request every FADE_STEP_MS (Spotify rate-limits anything faster)
+ * @param {number} from - 0.0 to 1.0
+ * @param {number} to - 0.0 to 1.0
+ * @param {number} durationMs
+ * @returns {Promise<'done'|'cancelled'|'failed'>} 'cancelled' when another fade or the user took over,
+ *     'failed' when the player has no (settable) volume; it stops at the first refused step
+ */
+async function fadeVolume(from, to, durationMs) {
+    if (isReadOnly() || lastPlayerState?.volume == null) return 'failed';
+    const id = ++fadeId;
+    const steps = Math.max(1, Math.round(durationMs / FADE_STEP_MS));
+    for (let step = 1; step <= steps; step++) {
+        const volume = from + (to - from) * step / steps;
+        volumeChangedAt = Date.now();
+        if (lastPlayerState) lastPlayerState.volume = volume;
+        renderVolume(volume);
+        if (!await setVolume(volume)) return 'failed';
+        if (step < steps) await new Promise(resolve => setTimeout(resolve, FADE_STEP_MS));
+        if (id !== fadeId) return 'cancelled';
+    }
+    return 'done';
+}
+
+/**
+ * Stop a running fade where it is
+ */
+function cancelFade() {
+    fadeId++;
+}
+
+/**
+ * Fade length for play and pause from the panel, media keys and /music
+ */
+function getManualFadeMs() {
+    return settings.fadeOnPlayPause ? settings.fadeSeconds * 1000 : 0;
+}
+
+/**
+ * Start playback, fading in from silence when the player reports its volume
+ * @param {number} [fadeMs]
+ * @returns {Promise<boolean>} Whether the player accepted
+ */
+async function playWithFade(fadeMs = getManualFadeMs()) {
+    const volume = lastPlayerState?.volume;
+    if (!fadeMs || volume == null || lastPlayerState?.is_playing) {
+        return await controlPlayer('play', 'PUT');
+    }
+
+    // Without volume control, just play
+    if (!await setVolume(0)) {
+        return await controlPlayer('play', 'PUT');
+    }
+    if (!await controlPlayer('play', 'PUT')) {
+        await setVolume(volume);
+        return false;
+    }
+    await fadeVolume(0, volume, fadeMs);
+    return true;
+}
+
+/**
+ * Pause playback after fading out, then put the volume back for the next play
+ * @param {number} [fadeMs]
+ * @returns {Promise<boolean>} Whether the player paused; false as well when the user took over the volume
+ */
+async function pauseWithFade(fadeMs = getManualFadeMs()) {
+    const volume = lastPlayerState?.volume;
+    if (!fadeMs || !volume || !lastPlayerState?.is_playing) {
+        return await controlPlayer('pause', 'PUT');
+    }
+
+    const fade = await fadeVolume(volume, 0, fadeMs);
+    if (fade === 'cancelled') return false;
+    const ok = await controlPlayer('pause', 'PUT');
+    volumeChangedAt = Date.now();
+    if (lastPlayerState) lastPlayerState.volume = volume;
+    renderVolume(volume);
+    // A refused fade never got the volume down, and would only be refused again
+    if (fade === 'done') await setVolume(volume);
+    return ok;
+}
+
+// =============================================================================
+// MUSIC FOLDER
+// =============================================================================
+
+// The server plugin scans its musicDir; files play in this page through an <audio> element
+const FOLDER_LIBRARY_PATH = '/api/plugins/mpris/library';
+// Queue, position and volume are per device (localStorage), like the panel layout
+const FOLDER_STORAGE_KEY = 'spotify_folder_player';
+// "Previous" restarts the track once it has played this long
+const FOLDER_RESTART_THRESHOLD_MS = 3000;
+const FOLDER_SAVE_INTERVAL_MS = 5000;
+const FOLDER_LOOP_CYCLE = ['None', 'Playlist', 'Track'];
+
+/**
+ * @typedef {object} FolderTrack
+ * @property {string} id - Assigned by the plugin's scan
+ * @property {string} title
+ * @property {string} artist
+ * @property {string} album
+ * @property {string} albumArtist
+ * @property {number} track
+ * @property {number} disc
+ * @property {boolean} hasArt
+ */
+
+/** @type {FolderTrack[]} In library order (artist, album, disc, track) */
+let folderTracks = [];
+/** @type {Map<string, FolderTrack>} */
+let folderTracksById = new Map();
+/** @type {Promise<FolderTrack[]>|null} */
+let folderLibraryRequest = null;
+/** @type {HTMLAudioElement|null} */
+let folderAudio = null;
+let folderSavedAt = 0;
+
+/**
+ * @typedef {object} FolderQueue
+ * @property {string[]} ids - Track ids in play order (shuffled while shuffle is on)
+ * @property {string[]} original - The same tracks in the order they were started in
+ * @property {number} index - Current track in `ids`, -1 for none
+ * @property {number} upNext - Tracks added with "Add to queue" since the track started, played before the rest
+ * @property {boolean} shuffle
+ * @property {'None'|'Playlist'|'Track'} loop
+ * @property {number} volume - 0.0 to 1.0
+ * @property {number} positionMs - Where to resume after a reload
+ */
+
+/** @type {FolderQueue} */
+let folderQueue = loadFolderQueue();
+
+function loadFolderQueue() {
+    const defaults = { ids: [], original: [], index: -1, upNext: 0, shuffle: false, loop: 'None', volume: 1, positionMs: 0 };
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem(FOLDER_STORAGE_KEY) || '{}') };
+    } catch {
+        return defaults;
+    }
+}
+
+function saveFolderQueue() {
+    if (folderAudio?.src) folderQueue.positionMs = Math.round(folderAudio.currentTime * 1000);
+    folderSavedAt = Date.now();
+    localStorage.setItem(FOLDER_STORAGE_KEY, JSON.stringify(folderQueue));
+}
+
+/**
+ * Album a track belongs to, as used in folder:album: URIs
+ * @param {FolderTrack} track
+ */
+function getFolderAlbumKey(track) {
+    return `${encodeURIComponent(track.albumArtist)}/${encodeURIComponent(track.album)}`;
+}
+
+/**
+ * Load the track list from the plugin
+ * @param {boolean} [refresh] - Make the plugin rescan the folder
+ * @returns {Promise<FolderTrack[]>}
+ * @throws {Error} When the plugin is missing or has no musicDir
+ */
+function loadFolderLibrary(refresh = false) {
+    if (folderLibraryRequest && !refresh) return folderLibraryRequest;
+
+    folderLibraryRequest = (async () => {
+        const response = await fetch(FOLDER_LIBRARY_PATH + (refresh ? '?refresh=1' : ''));
+        if (response.status === 404) {
+            throw new Error('MPRIS plugin not available. Is enableServerPlugins: true in config.yaml?');
+        }
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || `Status ${response.status}`);
+        if (!data.configured) throw new Error('No music folder is set. Add "musicDir" to the plugin\'s config.json.');
+
+        const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+        folderTracks = data.tracks.sort((a, b) => collator.compare(a.albumArtist || a.artist, b.albumArtist || b.artist)
+            || collator.compare(a.album, b.album)
+            || a.disc - b.disc
+            || a.track - b.track
+            || collator.compare(a.title, b.title));
+        folderTracksById = new Map(folderTracks.map(track => [track.id, track]));
+
+        // Drop queued tracks whose files are gone
+        const currentId = folderQueue.ids[folderQueue.index];
+        folderQueue.ids = folderQueue.ids.filter(id => folderTracksById.has(id));
+        folderQueue.original = folderQueue.original.filter(id => folderTracksById.has(id));
+        folderQueue.index = folderQueue.ids.indexOf(currentId);
+        return folderTracks;
+    })();
+    // Let a failed request be retried
+    folderLibraryRequest.catch(() => {
+        folderLibraryRequest = null;
+    });
+    return folderLibraryRequest;
+}
+
+function getFolderTrack() {
+    return folderTracksById.get(folderQueue.ids[folderQueue.index]) || null;
+}
+
+/**
+ * Normalized player state of the built-in player
+ * @returns {object|null} Null when no track is loaded
+ */
+function getFolderState() {
+    const track = getFolderTrack();
+    if (!track) return null;
+    const audio = folderAudio;
+    const loaded = Boolean(audio?.src);
+    const duration = loaded && Number.isFinite(audio.duration) ? audio.duration : 0;
+
+    return {
+        is_playing: loaded && !audio.paused && !audio.ended,
+        item: {
+            name: track.title,
+            artists: [{ name: track.artist }],
+            album: {
+                name: track.album,
+                images: track.hasArt ? [{ url: `${FOLDER_LIBRARY_PATH}/art/${encodeURIComponent(track.id)}?size=${ART_SIZE}` }] : [],
+            },
+            duration_ms: Math.round(duration * 1000),
+        },
+        progress_ms: loaded ? Math.round(audio.currentTime * 1000) : folderQueue.positionMs,
+        shuffle: folderQueue.shuffle,
+        loop: folderQueue.loop,
+        player: 'folder',
+        volume: folderQueue.volume,
+        url: `folder:track:${track.id}`,
+        trackId: track.id,
+    };
+}
+
+function applyFolderState() {
+    applyPlayerState(getFolderState());
+    if (isPanelViewOpen('library') && libraryTab === 'queue') renderLibrary();
+}
+
+function getFolderAudio() {
+    if (folderAudio) return folderAudio;
+
+    folderAudio = new Audio();
+    folderAudio.preload = 'auto';
+    folderAudio.volume = folderQueue.volume;
+    for (const event of ['play', 'pause', 'seeked', 'loadedmetadata']) {
+        folderAudio.addEventListener(event, () => {
+            // Events still queued after switching to another mode
+            if (!settings.useMusicFolder) return;
+            saveFolderQueue();
+            // The queue view only changes with the track
+            applyPlayerState(getFolderState());
+        });
+    }
+    folderAudio.addEventListener('timeupdate', () => {
+        if (Date.now() - folderSavedAt > FOLDER_SAVE_INTERVAL_MS) saveFolderQueue();
+    });
+    folderAudio.addEventListener('ended', () => {
+        if (settings.useMusicFolder) advanceFolderQueue(1, true);
+    });
+    folderAudio.addEventListener('error', () => {
+        const track = getFolderTrack();
+        // Loading a new source aborts the old one, which isn't worth a warning
+        if (!settings.useMusicFolder || !track || folderAudio.error?.code === MediaError.MEDIA_ERR_ABORTED) return;
+        console.error('Music folder playback error:', folderAudio.error);
+        toastr.warning(`Could not play "${track.title}". The browser may not support this file type.`);
+        applyPlayerState(getFolderState());
+    });
+    return folderAudio;
+}
+
+/**
+ * Load the current queue entry into the audio element
+ * @param {{play?: boolean, positionMs?: number}} options
+ */
+async function loadFolderTrack({ play = false, positionMs = 0 } = {}) {
+    const track = getFolderTrack();
+    const audio = getFolderAudio();
+    if (!track) {
+        audio.removeAttribute('src');
+        audio.load();
+        saveFolderQueue();
+        applyFolderState();
+        return;
+    }
+
+    // A media fragment starts playback at the saved position without waiting for metadata
+    const fragment = positionMs > 0 ? `#t=${(positionMs / 1000).toFixed(1)}` : '';
+    audio.src = `${FOLDER_LIBRARY_PATH}/stream/${encodeURIComponent(track.id)}${fragment}`;
+    audio.loop = folderQueue.loop === 'Track';
+    folderQueue.positionMs = positionMs;
+    saveFolderQueue();
+    applyFolderState();
+    if (play) await playFolderAudio();
+}
+
+async function playFolderAudio() {
+    try {
+        await getFolderAudio().play();
+        return true;
+    } catch (err) {
+        if (err.name === 'NotAllowedError') {
+            toastr.info('Click play in the music panel to start playback.');
+        } else if (err.name !== 'AbortError') {
+            console.error('Music folder playback error:', err);
+        }
+        return false;
+    }
+}
+
+/**
+ * Move through the queue
+ * @param {number} step - 1 for the next track, -1 for the previous one
+ * @param {boolean} [ended] - The current track finished by itself
+ */
+async function advanceFolderQueue(step, ended = false) {
+    if (!folderQueue.ids.length) return;
+    const wasPlaying = ended || Boolean(folderAudio && !folderAudio.paused);
+    let index = folderQueue.index + step;
+
+    if (index >= folderQueue.ids.length) {
+        if (folderQueue.loop !== 'Playlist') {
+            // End of the queue
+            if (ended) saveFolderQueue();
+            else toastr.info('End of the queue');
+            return;
+        }
+        index = 0;
+    } else if (index < 0) {
+        index = folderQueue.loop === 'Playlist' ? folderQueue.ids.length - 1 : 0;
+    }
+
+    folderQueue.index = index;
+    folderQueue.upNext = 0;
+    await loadFolderTrack({ play: wasPlaying });
+}
+
+/**
+ * Fisher-Yates shuffle, in place
+ */
+function shuffleIds(ids) {
+    for (let i = ids.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [ids[i], ids[j]] = [ids[j], ids[i]];
+    }
+    return ids;
+}
+
+/**
+ * Replace the queue and start playing
+ * @param {string[]} ids - Tracks in order
+ * @param {number} [start] - Index of the first track to play
+ */
+async function playFolderTracks(ids, start = 0) {
+    if (!ids.length) return;
+    const first = ids[start];
+    folderQueue.original = [...ids];
+    folderQueue.ids = folderQueue.shuffle ? [first, ...shuffleIds(ids.filter((_, i) => i !== start))] : [...ids];
+    folderQueue.index = folderQueue.shuffle ? 0 : start;
+    folderQueue.upNext = 0;
+    await loadFolderTrack({ play: true });
+}
+
+/**
+ * Tracks a folder: URI stands for
+ * @param {string} uri - folder:track:<id> or folder:album:<key>
+ * @returns {{ids: string[], start: number}}
+ */
+function resolveFolderUri(uri) {
+    const [, kind, ...rest] = uri.split(':');
+    const value = rest.join(':');
+    if (kind === 'track') {
+        const track = folderTracksById.get(value);
+        if (!track) return { ids: [], start: 0 };
+        // Play on through the rest of its album
+        const album = track.album ? folderTracks.filter(other => getFolderAlbumKey(other) === getFolderAlbumKey(track)) : [track];
+        return { ids: album.map(other => other.id), start: album.indexOf(track) };
+    }
+    if (kind === 'album') {
+        return { ids: folderTracks.filter(track => track.album && getFolderAlbumKey(track) === value).map(track => track.id), start: 0 };
+    }
+    return { ids: [], start: 0 };
+}
+
+/**
+ * Play a track (and the rest of its album) or an album from the music folder
+ * @param {string} uri - folder:track:<id> or folder:album:<key>
+ * @returns {Promise<boolean>} Whether anything matched
+ */
+async function playFolderUri(uri) {
+    await loadFolderLibrary().catch(() => null);
+    const { ids, start } = resolveFolderUri(uri);
+    if (!ids.length) {
+        toastr.warning('That track or album is not in the music folder.');
+        return false;
+    }
+    await playFolderTracks(ids, start);
+    return true;
+}
+
+/**
+ * Play a track or album after the current track (and anything queued before it)
+ * @param {string} uri - folder:track:<id> or folder:album:<key>
+ */
+function queueFolderUri(uri) {
+    const { ids } = uri.startsWith('folder:track:') ? { ids: [uri.slice('folder:track:'.length)] } : resolveFolderUri(uri);
+    const known = ids.filter(id => folderTracksById.has(id));
+    if (!known.length) return false;
+
+    if (folderQueue.index < 0) {
+        folderQueue.ids = [];
+        folderQueue.original = [];
+    }
+    const position = folderQueue.index + 1 + folderQueue.upNext;
+    folderQueue.ids.splice(position, 0, ...known);
+    const currentOriginal = folderQueue.original.indexOf(folderQueue.ids[folderQueue.index]);
+    folderQueue.original.splice(currentOriginal + 1 + folderQueue.upNext, 0, ...known);
+    folderQueue.upNext += known.length;
+
+    if (folderQueue.index < 0) {
+        folderQueue.index = 0;
+        folderQueue.upNext = 0;
+        loadFolderTrack();
+    } else {
+        saveFolderQueue();
+    }
+    return true;
+}
+
+/**
+ * Transport commands for the built-in player (same names as controlPlayer)
+ * @param {string} command - play, pause, next or previous
+ * @returns {Promise<boolean>}
+ */
+async function controlFolder(command) {
+    const audio = getFolderAudio();
+    switch (command) {
+        case 'play':
+            if (!getFolderTrack()) {
+                // Nothing queued yet: start the whole library
+                const tracks = await loadFolderLibrary().catch(() => []);
+                if (!tracks.length) {
+                    toastr.warning('The music folder has no playable tracks.');
+                    return false;
+                }
+                await playFolderTracks(tracks.map(track => track.id));
+                return true;
+            }
+            if (!audio.src) await loadFolderTrack({ positionMs: folderQueue.positionMs });
+            return await playFolderAudio();
+        case 'pause':
+            audio.pause();
+            return true;
+        case 'next':
+            await advanceFolderQueue(1);
+            return true;
+        case 'previous':
+            if (audio.currentTime * 1000 > FOLDER_RESTART_THRESHOLD_MS || folderQueue.index <= 0) {
+                audio.currentTime = 0;
+            } else {
+                await advanceFolderQueue(-1);
+            }
+            return true;
+        default:
+            return await controlFolder(audio.paused ? 'play' : 'pause');
+    }
+}
+
+/**
+ * @returns {boolean} False when no track is loaded
+ */
+function seekFolder(positionSec) {
+    const audio = getFolderAudio();
+    if (!audio.src) return false;
+    audio.currentTime = Math.max(0, Math.min(positionSec, Number.isFinite(audio.duration) ? audio.duration : positionSec));
+    return true;
+}
+
+/**
+ * Shuffle the tracks after the current one, or go back to the order they were started in
+ */
+function toggleFolderShuffle() {
+    const currentId = folderQueue.ids[folderQueue.index];
+    folderQueue.shuffle = !folderQueue.shuffle;
+    if (folderQueue.shuffle) {
+        const rest = folderQueue.original.filter(id => id !== currentId);
+        folderQueue.ids = currentId ? [currentId, ...shuffleIds(rest)] : shuffleIds(rest);
+        folderQueue.index = currentId ? 0 : -1;
+    } else {
+        folderQueue.ids = [...folderQueue.original];
+        folderQueue.index = folderQueue.ids.indexOf(currentId);
+    }
+    folderQueue.upNext = 0;
+    saveFolderQueue();
+    applyFolderState();
+    return true;
+}
+
+function cycleFolderLoop() {
+    folderQueue.loop = FOLDER_LOOP_CYCLE[(FOLDER_LOOP_CYCLE.indexOf(folderQueue.loop) + 1) % FOLDER_LOOP_CYCLE.length];
+    // Repeating one track is left to the audio element, so "ended" never fires for it
+    getFolderAudio().loop = folderQueue.loop === 'Track';
+    saveFolderQueue();
+    applyPlayerState(getFolderState());
+    return folderQueue.loop;
+}
+
+function setFolderVolume(volume) {
+    folderQueue.volume = volume;
+    getFolderAudio().volume = volume;
+    saveFolderQueue();
+}
+
+/**
+ * Restore the saved queue (paused) when music folder mode starts
+ */
+async function startFolderPlayer() {
+    try {
+        await loadFolderLibrary();
+    } catch (err) {
+        console.warn('Music folder unavailable:', err.message);
+        toastr.warning(err.message, 'Music folder');
+        applyPlayerState(null);
+        return;
+    }
+    if (!folderAudio?.src && getFolderTrack()) {
+        await loadFolderTrack({ positionMs: folderQueue.positionMs });
+    } else {
+        applyPlayerState(getFolderState());
+    }
+}
+
+/**
+ * Stop the built-in player when switching to another mode
+ */
+function stopFolderPlayer() {
+    if (!folderAudio) return;
+    saveFolderQueue();
+    folderAudio.pause();
+    folderAudio.removeAttribute('src');
+    folderAudio.load();
+}
+
+/**
+ * Render the library drawer from the music folder
+ * @param {HTMLElement} list
+ */
+async function renderFolderLibrary(list) {
+    const requestId = libraryRequestId;
+    let tracks;
+    try {
+        tracks = await loadFolderLibrary();
+    } catch (err) {
+        if (requestId === libraryRequestId) appendLibraryMessage(list, err.message);
+        return;
+    }
+    if (requestId !== libraryRequestId) return;
+
+    const toItem = track => ({
+        uri: `folder:track:${track.id}`,
+        title: track.title,
+        subtitle: [track.artist, track.album].filter(Boolean).join(' · '),
+        image: track.hasArt ? `${FOLDER_LIBRARY_PATH}/art/${encodeURIComponent(track.id)}?size=64` : '',
+    });
+
+    if (libraryTab === 'queue') {
+        const upcoming = folderQueue.ids.slice(folderQueue.index + 1).map(id => folderTracksById.get(id)).filter(Boolean);
+        if (!upcoming.length) {
+            appendLibraryMessage(list, getFolderTrack() ? 'The queue is empty' : 'Nothing is playing');
+            return;
+        }
+        appendLibraryHeading(list, 'Next up');
+        appendLibraryRows(list, upcoming.map(toItem), {});
+    } else if (libraryTab === 'search') {
+        const query = String(document.getElementById('spotify_library_query')?.value || '').trim().toLowerCase();
+        if (!query) {
+            appendLibraryMessage(list, `Search ${tracks.length} tracks by title, artist or album`);
+            return;
+        }
+        const matches = tracks.filter(track => [track.title, track.artist, track.album].some(field => field.toLowerCase().includes(query)));
+        if (!matches.length) {
+            appendLibraryMessage(list, 'No results');
+            return;
+        }
+        appendLibraryRows(list, matches.slice(0, LIBRARY_PLAYLIST_PAGE).map(toItem), { play: true, queue: true });
+    } else {
+        const albums = new Map();
+        for (const track of tracks) {
+            if (!track.album) continue;
+            const key = getFolderAlbumKey(track);
+            if (!albums.has(key)) albums.set(key, { track, count: 0 });
+            albums.get(key).count++;
+        }
+        if (!albums.size) {
+            appendLibraryMessage(list, 'No albums');
+            return;
+        }
+        appendLibraryRows(list, [...albums].map(([key, { track, count }]) => ({
+            uri: `folder:album:${key}`,
+            title: track.album,
+            subtitle: `${track.albumArtist || track.artist} · ${count} ${count === 1 ? 'track' : 'tracks'}`,
+            image: track.hasArt ? `${FOLDER_LIBRARY_PATH}/art/${encodeURIComponent(track.id)}?size=64` : '',
+        })), { play: true, queue: true });
+    }
+}
+
+// =============================================================================
+// UI CONSTRUCTION
+// =============================================================================
+
+function createPlayerPanel() {
+    if (document.getElementById('spotify-player-sidebar')) return;
+
+    playerPanel = document.createElement('div');
+    playerPanel.id = 'spotify-player-sidebar';
+    playerPanel.className = 'spotify-player-sidebar';
+    playerPanel.dataset.durationMs = '0'; // Store duration for seek calculations
+
+    // Check if previously collapsed
+    if (localStorage.getItem('spotify_sidebar_collapsed') === 'true') {
+        playerPanel.classList.add('collapsed');
+    }
+
+    playerPanel.innerHTML = `
+        <div class="spotify-header">
+            <div class="spotify-brand">
+                <i class="fa-brands fa-spotify spotify-icon"></i>
+                <span>Music</span>
+            </div>
+            <select class="spotify-player-select" id="spotify_player_select" title="Player to control">
+                <option value="">Auto</option>
+            </select>
+            <button class="spotify-collapse-btn spotify-layout-btn" title="Layout: full, compact or mini">
+               <i class="fa-solid fa-table-columns"></i>
+            </button>
+            <button class="spotify-collapse-btn spotify-view-btn" data-view="lyrics" title="Lyrics">
+               <i class="fa-solid fa-align-left"></i>
+            </button>
+            <button class="spotify-collapse-btn spotify-view-btn" data-view="library" id="spotify_library_btn" title="Queue, Search and Playlists">
+               <i class="fa-solid fa-list-ul"></i>
+            </button>
+            <button class="spotify-collapse-btn spotify-view-btn" data-view="history" title="Listening History">
+               <i class="fa-solid fa-clock-rotate-left"></i>
+            </button>
+            <button class="spotify-collapse-btn spotify-view-btn" data-view="sleep" id="spotify_sleep_btn" title="Sleep Timer">
+               <i class="fa-solid fa-moon"></i>
+            </button>
+            <button class="spotify-collapse-btn" id="spotify_collapse_btn" title="Toggle View">
+               <i class="fa-solid fa-chevron-left"></i>
+            </button>
+        </div>
+        <div class="spotify-track-info">
+            <div class="spotify-art-wrap">
+                <img src="" class="spotify-album-art" id="spotify_art_img" onerror="this.style.display='none'">
+            </div>
+            <div class="spotify-track-details">
+                <div class="spotify-track-name" id="spotify_track_name">Not Playing</div>
+                <div class="spotify-artist-name" id="spotify_artist_name">--</div>
             </div>
         </div>
         <div class="spotify-progress-bar-container" id="spotify_progress_container" title="Click to seek">
@@ -418,196 +1538,3061 @@ function createPlayerPanel() {
             <button class="spotify-btn" id="spotify_next_btn" title="Next"><i class="fa-solid fa-forward-step"></i></button>
             <button class="spotify-btn small" id="spotify_loop_btn" title="Repeat"><i class="fa-solid fa-repeat"></i></button>
         </div>
+        <div class="spotify-volume" id="spotify_volume_row">
+            <button class="spotify-btn small" id="spotify_mute_btn" title="Mute"><i class="fa-solid fa-volume-high"></i></button>
+            <input type="range" class="spotify-volume-slider" id="spotify_volume_slider" min="0" max="100" step="1" value="50" title="Volume">
+        </div>
+        <div class="spotify-view spotify-lyrics" data-view="lyrics" id="spotify_lyrics_view"></div>
+        <div class="spotify-view spotify-library" data-view="library">
+            <div class="spotify-tabs">
+                <button class="spotify-tab" data-tab="queue">Queue</button>
+                <button class="spotify-tab" data-tab="search">Search</button>
+                <button class="spotify-tab" data-tab="playlists">Playlists</button>
+            </div>
+            <input type="search" class="spotify-library-query" id="spotify_library_query" placeholder="Search tracks, albums, playlists">
+            <div class="spotify-library-list" id="spotify_library_list"></div>
+        </div>
+        <div class="spotify-view spotify-history" data-view="history">
+            <div class="spotify-history-toolbar">
+                <select class="spotify-player-select" id="spotify_history_scope" title="Which listens to show">
+                    <option value="chat">This chat</option>
+                    <option value="all">All chats</option>
+                </select>
+                <div class="spotify-tabs">
+                    <button class="spotify-tab" data-tab="recent">Recent</button>
+                    <button class="spotify-tab" data-tab="artists">Artists</button>
+                    <button class="spotify-tab" data-tab="tracks">Tracks</button>
+                </div>
+            </div>
+            <div class="spotify-history-list" id="spotify_history_list"></div>
+            <div class="spotify-history-actions">
+                <button class="spotify-history-export" data-format="csv" title="Export as CSV"><i class="fa-solid fa-file-csv"></i> CSV</button>
+                <button class="spotify-history-export" data-format="json" title="Export as JSON"><i class="fa-solid fa-file-code"></i> JSON</button>
+            </div>
+        </div>
+        <div class="spotify-view spotify-sleep" data-view="sleep">
+            <div class="spotify-sleep-status" id="spotify_sleep_status">Off</div>
+            <div class="spotify-tabs">
+                <button class="spotify-tab" data-sleep-minutes="15">15 min</button>
+                <button class="spotify-tab" data-sleep-minutes="30">30 min</button>
+                <button class="spotify-tab" data-sleep-minutes="60">1 hour</button>
+                <button class="spotify-tab" data-sleep-tracks="1">End of track</button>
+            </div>
+            <div class="spotify-sleep-custom">
+                <input type="number" class="spotify-sleep-amount" id="spotify_sleep_amount" min="1" value="3" title="Minutes or tracks">
+                <select class="spotify-player-select" id="spotify_sleep_unit" title="Count minutes or tracks">
+                    <option value="minutes">minutes</option>
+                    <option value="tracks">tracks</option>
+                </select>
+                <button class="spotify-tab" id="spotify_sleep_start">Start</button>
+                <button class="spotify-tab" id="spotify_sleep_cancel">Cancel</button>
+            </div>
+        </div>
+        <span class="spotify-sleep-badge" id="spotify_sleep_badge"></span>
     `;
 
-    document.body.appendChild(playerPanel);
+    document.body.appendChild(playerPanel);
+
+    // Bind Controls
+    playerPanel.querySelector('#spotify_prev_btn').addEventListener('click', () => controlPlayer('previous'));
+    playerPanel.querySelector('#spotify_next_btn').addEventListener('click', () => controlPlayer('next'));
+    playerPanel.querySelector('#spotify_play_pause_btn').addEventListener('click', async () => {
+        const state = await refreshPlayerState();
+        if (state && state.is_playing) {
+            await pauseWithFade();
+        } else {
+            await playWithFade();
+        }
+        updatePlayerUI();
+    });
+
+    // Shuffle button
+    playerPanel.querySelector('#spotify_shuffle_btn').addEventListener('click', async () => {
+        if (await toggleShuffle()) {
+            toastr.info('Shuffle toggled');
+            updatePlayerUI();
+        }
+    });
+
+    // Loop button
+    playerPanel.querySelector('#spotify_loop_btn').addEventListener('click', async () => {
+        const mode = await cycleRepeat();
+        if (mode) {
+            toastr.info(`Repeat: ${mode}`);
+            updatePlayerUI();
+        }
+    });
+
+    // Volume slider, mute toggle and scroll-to-adjust over the album art
+    const volumeSlider = playerPanel.querySelector('#spotify_volume_slider');
+    volumeSlider.addEventListener('input', () => changeVolumeFromPanel(Number(volumeSlider.value) / 100));
+    playerPanel.querySelector('#spotify_mute_btn').addEventListener('click', toggleMute);
+    playerPanel.querySelector('#spotify_art_img').addEventListener('wheel', (e) => {
+        if (lastPlayerState?.volume == null || isReadOnly()) return;
+        e.preventDefault();
+        const direction = e.deltaY < 0 ? 1 : -1;
+        changeVolumeFromPanel(lastPlayerState.volume + direction * VOLUME_STEP);
+    }, { passive: false });
+
+    // Expandable views below the controls (lyrics, history), at most one open at a time
+    playerPanel.querySelectorAll('.spotify-view-btn').forEach(button => {
+        button.addEventListener('click', () => togglePanelView(button.dataset.view));
+    });
+    playerPanel.querySelector('#spotify_lyrics_view').addEventListener('click', onLyricClick);
+    bindHistoryView();
+    bindLibraryView();
+    bindSleepView();
+    applyReadOnly();
+    // A new panel needs its lyrics and colors applied again
+    lyricsTrackKey = null;
+    themeArtUrl = null;
+    applyPanelTheme();
+    togglePanelView(localStorage.getItem('spotify_panel_view') || '', true);
+
+    // Player picker (MPRIS only) and library (Spotify API and music folder)
+    const playerSelect = playerPanel.querySelector('#spotify_player_select');
+    playerSelect.style.display = settings.useMpris ? '' : 'none';
+    playerPanel.querySelector('#spotify_library_btn').style.display = settings.useMpris ? 'none' : '';
+    // Pick up players started since the last refresh; focus comes before the list opens, by mouse or keyboard
+    playerSelect.addEventListener('focus', refreshPlayerPickers);
+    playerSelect.addEventListener('change', () => setPreferredPlayer(playerSelect.value));
+    if (settings.useMpris) refreshPlayerPickers();
+
+    // Seek bar click handler
+    playerPanel.querySelector('#spotify_progress_container').addEventListener('click', async (e) => {
+        const container = e.currentTarget;
+        const rect = container.getBoundingClientRect();
+        const clickX = e.clientX - rect.left;
+        const percent = clickX / rect.width;
+        const durationMs = parseInt(playerPanel.dataset.durationMs || '0', 10);
+
+        if (durationMs > 0) {
+            const seekPositionSec = (percent * durationMs) / 1000;
+            await seekToPosition(seekPositionSec);
+            // Update UI immediately for feedback
+            const progressBar = document.getElementById('spotify_progress_bar');
+            if (progressBar) progressBar.style.width = `${percent * 100}%`;
+            // Seeks are not pushed by the event stream, so resync the local progress
+            updatePlayerUI();
+        }
+    });
+
+    // Collapse Button Logic
+    playerPanel.querySelector('#spotify_collapse_btn').addEventListener('click', (e) => {
+        e.stopPropagation(); // Prevent double-toggle when expanded
+        toggleCollapse();
+    });
+
+    // Also allow clicking on the entire collapsed pill to expand
+    playerPanel.addEventListener('click', (e) => {
+        if (playerPanel.classList.contains('collapsed')) {
+            toggleCollapse();
+        }
+    });
+
+    function toggleCollapse() {
+        playerPanel.classList.toggle('collapsed');
+        const isCollapsed = playerPanel.classList.contains('collapsed');
+        playerPanel.querySelector('#spotify_collapse_btn i').className = isCollapsed ? 'fa-brands fa-spotify' : 'fa-solid fa-chevron-left';
+        localStorage.setItem('spotify_sidebar_collapsed', String(isCollapsed));
+        // The expanded panel may not fit where the pill was
+        applyPanelLayout();
+    }
+
+    // Initial collapse icon state
+    if (playerPanel.classList.contains('collapsed')) {
+        playerPanel.querySelector('#spotify_collapse_btn i').className = 'fa-brands fa-spotify';
+    }
+
+    bindPanelLayout();
+}
+
+/**
+ * Open a panel view, or close it if it is already open
+ * @param {string} view - View name (data-view), or '' to close all views
+ * @param {boolean} [restore] - Open the view even if it is already open (restoring a saved view)
+ */
+function togglePanelView(view, restore = false) {
+    if (!playerPanel) return;
+    const next = !restore && playerPanel.dataset.view === view ? '' : view;
+    playerPanel.dataset.view = next;
+    playerPanel.querySelectorAll('.spotify-view-btn').forEach(button => {
+        button.classList.toggle('active', button.dataset.view === next);
+    });
+    localStorage.setItem('spotify_panel_view', next);
+
+    if (next === 'lyrics' && lastPlayerState) loadLyrics(lastPlayerState);
+    if (next === 'history') renderHistory();
+    if (next === 'library') renderLibrary();
+}
+
+function isPanelViewOpen(view) {
+    return playerPanel?.dataset.view === view;
+}
+
+function removePlayerPanel() {
+    if (playerPanel) {
+        playerPanel.remove();
+        playerPanel = null;
+    }
+}
+
+async function updatePlayerUI() {
+    if (!settings.enablePanel) {
+        removePlayerPanel();
+        return;
+    }
+
+    const data = await fetchPlayerState();
+    applyPlayerState(data);
+}
+
+/**
+ * Record a new player state (polled or pushed) and render it
+ * @param {object|null} data - Normalized player state from fetchPlayerState()
+ */
+function applyPlayerState(data) {
+    countListenTime();
+    lastPlayerState = data;
+    lastStateReceivedAt = Date.now();
+    emitStateEvents(data);
+    updateListen(data);
+    updatePromptInjection();
+    updateMediaSession(data);
+
+    if (!settings.enablePanel) {
+        removePlayerPanel();
+        return;
+    }
+
+    renderPlayerState(data);
+    updateProgressAnimation();
+}
+
+function renderPlayerState(data) {
+    // If panel is missing but enabled, create it
+    if (!playerPanel) {
+        createPlayerPanel();
+    }
+
+    const artImg = document.getElementById('spotify_art_img');
+    const trackName = document.getElementById('spotify_track_name');
+    const artistName = document.getElementById('spotify_artist_name');
+    const playPauseBtn = document.getElementById('spotify_play_pause_btn');
+    const playerSelect = document.getElementById('spotify_player_select');
+    const libraryBtn = document.getElementById('spotify_library_btn');
+
+    if (libraryBtn) {
+        libraryBtn.style.display = settings.useMpris ? 'none' : '';
+        if (settings.useMpris && isPanelViewOpen('library')) togglePanelView('');
+    }
+
+    if (playerSelect) {
+        playerSelect.style.display = settings.useMpris ? '' : 'none';
+        // A player appeared that the picker doesn't know about yet
+        if (data?.player && !settings.preferredPlayer && !playerSelect.options[0].textContent.includes(data.player)) {
+            refreshPlayerPickers();
+        }
+    }
+
+    // Update container class for collapse state if needed (handled by button mostly, but good to sync)
+
+    if (!data || !data.item) {
+        setPanelText(trackName, 'Not Playing');
+        setPanelText(artistName, settings.useMusicFolder ? 'Press play or pick an album' : 'Start Spotify on a device');
+        if (artImg) artImg.style.display = 'none';
+        if (isPanelViewOpen('lyrics')) loadLyrics(null);
+        applyPanelTheme();
+        return;
+    }
+
+    if (isPanelViewOpen('lyrics')) loadLyrics(data);
+    applyPanelTheme();
+
+    setPanelText(trackName, data.item.name);
+    setPanelText(artistName, data.item.artists.map(a => a.name).join(', '));
+
+    if (artImg && data.item.album.images.length > 0) {
+        artImg.src = data.item.album.images[0].url;
+        artImg.style.display = 'block';
+    }
+
+    if (playPauseBtn) {
+        playPauseBtn.innerHTML = data.is_playing ? '<i class="fa-solid fa-pause"></i>' : '<i class="fa-solid fa-play"></i>';
+    }
+
+    renderProgress(data.progress_ms, data.item.duration_ms);
+
+    // Don't let a state fetched before a slider move snap the slider back
+    if (Date.now() - volumeChangedAt > VOLUME_SETTLE_MS) {
+        renderVolume(data.volume);
+    }
+
+    // Update shuffle/loop button active states
+    const shuffleBtn = document.getElementById('spotify_shuffle_btn');
+    const loopBtn = document.getElementById('spotify_loop_btn');
+
+    if (shuffleBtn) {
+        if (data.shuffle) {
+            shuffleBtn.classList.add('active');
+        } else {
+            shuffleBtn.classList.remove('active');
+        }
+    }
+
+    if (loopBtn) {
+        if (data.loop && data.loop !== 'None') {
+            loopBtn.classList.add('active');
+            // Show different icon for track repeat vs playlist repeat
+            if (data.loop === 'Track') {
+                loopBtn.innerHTML = '<i class="fa-solid fa-repeat"></i><span class="repeat-one">1</span>';
+            } else {
+                loopBtn.innerHTML = '<i class="fa-solid fa-repeat"></i>';
+            }
+        } else {
+            loopBtn.classList.remove('active');
+            loopBtn.innerHTML = '<i class="fa-solid fa-repeat"></i>';
+        }
+    }
+}
+
+function renderProgress(progressMs, durationMs) {
+    const progressBar = document.getElementById('spotify_progress_bar');
+    if (!progressBar || !durationMs) return;
+
+    const percent = Math.min(100, (progressMs / durationMs) * 100);
+    progressBar.style.width = `${percent}%`;
+    // Store duration for seek bar click calculations
+    if (playerPanel) {
+        playerPanel.dataset.durationMs = String(durationMs);
+        // Progress ring of the mini layout
+        playerPanel.style.setProperty('--spotify-progress', `${percent}%`);
+    }
+
+    // Update time display
+    const timeCurrent = document.getElementById('spotify_time_current');
+    const timeDuration = document.getElementById('spotify_time_duration');
+    if (timeCurrent) timeCurrent.textContent = formatTime(Math.min(progressMs, durationMs));
+    if (timeDuration) timeDuration.textContent = formatTime(durationMs);
+
+    renderLyricsProgress(progressMs);
+}
+
+/**
+ * @param {number|null} volume - 0.0 to 1.0, or null if the player doesn't report one
+ */
+function renderVolume(volume) {
+    const row = document.getElementById('spotify_volume_row');
+    const slider = document.getElementById('spotify_volume_slider');
+    const muteBtn = document.getElementById('spotify_mute_btn');
+    if (!row || !slider || !muteBtn) return;
+
+    row.classList.toggle('unavailable', volume == null);
+    if (volume == null) return;
+
+    slider.value = String(Math.round(volume * 100));
+    slider.style.setProperty('--volume-percent', `${slider.value}%`);
+
+    let icon = 'fa-volume-high';
+    if (volume === 0) icon = 'fa-volume-xmark';
+    else if (volume < 0.5) icon = 'fa-volume-low';
+    muteBtn.innerHTML = `<i class="fa-solid ${icon}"></i>`;
+    muteBtn.title = volume === 0 ? 'Unmute' : 'Mute';
+}
+
+/**
+ * Playback position now, advanced locally from the last received state
+ * @param {object} data - Normalized player state
+ */
+function getCurrentProgressMs(data) {
+    const elapsed = data.is_playing ? Date.now() - lastStateReceivedAt : 0;
+    return Math.min(data.progress_ms + elapsed, data.item?.duration_ms || Infinity);
+}
+
+/**
+ * States only arrive every few seconds (or on changes), so move the progress bar every
+ * PROGRESS_TICK_MS while playing; a CSS transition smooths the steps. Each received state
+ * resyncs it, as renderPlayerState draws the fetched position.
+ */
+function updateProgressAnimation() {
+    const animate = Boolean(lastPlayerState?.is_playing && lastPlayerState.item && playerPanel);
+    if (animate && !progressAnimation) {
+        progressAnimation = setInterval(() => {
+            const data = lastPlayerState;
+            if (!data?.is_playing || !data.item || !playerPanel) {
+                clearInterval(progressAnimation);
+                progressAnimation = null;
+                return;
+            }
+            renderProgress(getCurrentProgressMs(data), data.item.duration_ms);
+        }, PROGRESS_TICK_MS);
+    } else if (!animate && progressAnimation) {
+        clearInterval(progressAnimation);
+        progressAnimation = null;
+    }
+}
+
+/**
+ * Delay until the next poll, from the playback state, tab visibility and recent failures
+ */
+function getPollDelay() {
+    if (pollFailures > 0) {
+        return Math.min(POLL_PLAYING_MS * 2 ** pollFailures, POLL_BACKOFF_MAX_MS);
+    }
+    if (document.hidden) return POLL_HIDDEN_MS;
+    return lastPlayerState?.is_playing ? POLL_PLAYING_MS : POLL_PAUSED_MS;
+}
+
+function schedulePoll(delay = getPollDelay()) {
+    clearTimeout(pollTimeout);
+    pollTimeout = setTimeout(pollPlayerState, delay);
+}
+
+async function pollPlayerState() {
+    pollTimeout = null;
+    if (!settings.enablePanel) {
+        removePlayerPanel();
+    } else {
+        let data = null;
+        try {
+            data = await requestPlayerState();
+            if (pollFailures > 0) console.info('Player state available again.');
+            pollFailures = 0;
+        } catch (err) {
+            // Warn once per outage rather than on every retry
+            if (pollFailures === 0) console.warn('Player state unavailable, polling less often until it is back:', err.message);
+            pollFailures++;
+        }
+        // One slow or failed request shouldn't blank the panel or end the listen
+        if (pollFailures === 0 || pollFailures >= POLL_GONE_FAILURES) applyPlayerState(data);
+    }
+    // Stopped (or restarted, which already scheduled) while the request was running
+    if (pollingActive && !pollTimeout) schedulePoll();
+}
+
+function startPollLoop() {
+    pollingActive = true;
+    pollFailures = 0;
+    schedulePoll(0);
+}
+
+function stopPollLoop() {
+    pollingActive = false;
+    clearTimeout(pollTimeout);
+    pollTimeout = null;
+}
+
+// A tab coming back to the front catches up right away instead of waiting out the hidden delay
+document.addEventListener('visibilitychange', () => {
+    if (pollingActive && !document.hidden) schedulePoll(0);
+});
+
+/**
+ * Subscribe to state changes pushed by the MPRIS plugin.
+ * Polls while the stream is down and retries the stream periodically.
+ */
+function connectEventStream() {
+    disconnectEventStream();
+
+    const stream = new EventSource('/api/plugins/mpris/events?' + new URLSearchParams(getMprisTarget()));
+    eventStream = stream;
+
+    stream.addEventListener('state', (event) => {
+        // Stream is (back) up, polling is no longer needed
+        stopPollLoop();
+
+        try {
+            applyPlayerState(normalizeMprisState(JSON.parse(event.data)));
+        } catch (err) {
+            console.error('MPRIS event parse error:', err);
+        }
+    });
+
+    stream.addEventListener('error', () => {
+        if (eventStream !== stream) return;
+        console.warn('MPRIS event stream unavailable, falling back to polling.');
+        disconnectEventStream();
+        if (!pollingActive) {
+            startPollLoop();
+        }
+        streamRetryTimeout = setTimeout(connectEventStream, STREAM_RETRY_MS);
+    });
+}
+
+function disconnectEventStream() {
+    if (eventStream) eventStream.close();
+    eventStream = null;
+    if (streamRetryTimeout) clearTimeout(streamRetryTimeout);
+    streamRetryTimeout = null;
+}
+
+function startPolling() {
+    stopPolling();
+
+    // States arrive irregularly, so listen time is counted on a timer of its own
+    progressTicker = setInterval(countListenTime, 1000);
+    if (settings.useMusicFolder) {
+        // The audio element reports its own changes
+        startFolderPlayer();
+    } else if (settings.useMpris && typeof EventSource !== 'undefined') {
+        // MPRIS pushes changes; the stream sends the current state on connect
+        connectEventStream();
+        updatePlayerUI();
+    } else {
+        startPollLoop();
+    }
+}
+
+function stopPolling() {
+    stopPollLoop();
+    if (progressTicker) clearInterval(progressTicker);
+    progressTicker = null;
+    if (progressAnimation) clearInterval(progressAnimation);
+    progressAnimation = null;
+    disconnectEventStream();
+}
+
+// =============================================================================
+// PANEL LAYOUT
+// =============================================================================
+
+// Layout is per device (localStorage), so a phone and a desktop can differ
+const LAYOUT_STORAGE_KEY = 'spotify_panel_layout';
+const LAYOUT_MODES = ['full', 'compact', 'mini'];
+const DEFAULT_LAYOUT = { mode: 'full', dock: 'bottom', x: 20, y: 20 };
+// Gap between a docked panel and its edge
+const DOCK_MARGIN = 20;
+// Dropping the panel this close to an edge docks it there
+const DOCK_SNAP_DISTANCE = 40;
+// Below this width the full and compact layouts become a bottom sheet (SillyTavern's mobile breakpoint)
+const MOBILE_QUERY = '(max-width: 1000px)';
+// Pointer travel before a press on a drag handle counts as a drag instead of a click
+const DRAG_THRESHOLD = 4;
+
+/**
+ * @typedef {object} PanelLayout
+ * @property {'full'|'compact'|'mini'} mode
+ * @property {'free'|'left'|'right'|'top'|'bottom'|'topbar'} dock - Edge the panel sticks to
+ * @property {number} x - Left position (px) when not docked left/right
+ * @property {number} y - Top position (px) when not docked top/bottom
+ */
+
+/** @type {PanelLayout} */
+let panelLayout = loadPanelLayout();
+let mobileQuery = null;
+
+function loadPanelLayout() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(LAYOUT_STORAGE_KEY) || 'null');
+        if (saved && LAYOUT_MODES.includes(saved.mode)) return { ...DEFAULT_LAYOUT, ...saved };
+    } catch {
+        // Corrupt value, use the default
+    }
+    return { ...DEFAULT_LAYOUT };
+}
+
+function savePanelLayout() {
+    localStorage.setItem(LAYOUT_STORAGE_KEY, JSON.stringify(panelLayout));
+}
+
+function isMobileLayout() {
+    mobileQuery ??= window.matchMedia(MOBILE_QUERY);
+    return mobileQuery.matches;
+}
+
+function getTopBarHeight() {
+    return document.getElementById('top-bar')?.offsetHeight || 0;
+}
+
+/**
+ * Move the panel into SillyTavern's top bar, among its drawer icons, or back to the page body
+ * @param {HTMLElement|null} holder - #top-settings-holder, or null for the body
+ */
+function mountPanel(holder) {
+    if (!holder) {
+        if (playerPanel.parentElement !== document.body) document.body.appendChild(playerPanel);
+        return;
+    }
+    if (playerPanel.parentElement === holder) return;
+
+    // Take the slot the panel was dropped on
+    const center = panelLayout.x + playerPanel.offsetWidth / 2;
+    const next = [...holder.children].find(child => {
+        const rect = child.getBoundingClientRect();
+        return rect.left + rect.width / 2 > center;
+    });
+    holder.insertBefore(playerPanel, next || null);
+}
+
+/**
+ * Position the panel and set its layout classes from panelLayout
+ */
+function applyPanelLayout() {
+    if (!playerPanel) return;
+    const { dock } = panelLayout;
+    // The full layout doesn't fit into the top bar
+    const mode = dock === 'topbar' && panelLayout.mode === 'full' ? 'compact' : panelLayout.mode;
+    const mobile = isMobileLayout();
+
+    LAYOUT_MODES.forEach(name => playerPanel.classList.toggle(`layout-${name}`, name === mode));
+    ['free', 'left', 'right', 'top', 'bottom', 'topbar'].forEach(name => playerPanel.classList.toggle(`dock-${name}`, name === dock));
+    playerPanel.classList.toggle('mobile', mobile);
+
+    const style = playerPanel.style;
+    // On phones the full and compact layouts are a bottom sheet placed by the stylesheet
+    const sheet = mobile && mode !== 'mini';
+    const holder = dock === 'topbar' && !sheet ? document.getElementById('top-settings-holder') : null;
+    mountPanel(holder);
+    if (sheet || holder) {
+        // Inside the top bar the panel is laid out with the drawer icons
+        style.left = style.right = style.top = style.bottom = '';
+        if (holder) style.setProperty('--spotify-topbar-height', `${getTopBarHeight()}px`);
+        refreshMarquees();
+        return;
+    }
+
+    style.left = style.right = style.top = style.bottom = 'auto';
+    const topBarHeight = getTopBarHeight();
+    const clampX = x => `${Math.max(0, Math.min(x, window.innerWidth - playerPanel.offsetWidth))}px`;
+    const clampY = y => `${Math.max(topBarHeight, Math.min(y, window.innerHeight - playerPanel.offsetHeight))}px`;
+
+    switch (dock) {
+        case 'left':
+            style.left = `${DOCK_MARGIN}px`;
+            style.top = clampY(panelLayout.y);
+            break;
+        case 'right':
+            style.right = `${DOCK_MARGIN}px`;
+            style.top = clampY(panelLayout.y);
+            break;
+        case 'top':
+            style.top = `${topBarHeight + DOCK_MARGIN}px`;
+            style.left = clampX(panelLayout.x);
+            break;
+        case 'bottom':
+            style.bottom = `${DOCK_MARGIN}px`;
+            style.left = clampX(panelLayout.x);
+            break;
+        case 'topbar':
+            // Only without a #top-settings-holder to mount into (older SillyTavern versions)
+            style.top = '0px';
+            style.left = clampX(panelLayout.x);
+            style.setProperty('--spotify-topbar-height', `${topBarHeight}px`);
+            break;
+        default:
+            style.left = clampX(panelLayout.x);
+            style.top = clampY(panelLayout.y);
+    }
+    refreshMarquees();
+}
+
+/**
+ * @param {'full'|'compact'|'mini'} [mode] - Layout to switch to; cycles to the next one if omitted
+ */
+function setLayoutMode(mode) {
+    panelLayout.mode = mode || LAYOUT_MODES[(LAYOUT_MODES.indexOf(panelLayout.mode) + 1) % LAYOUT_MODES.length];
+    savePanelLayout();
+    applyPanelLayout();
+    $('#spotify_layout_mode').val(panelLayout.mode);
+}
+
+function resetPanelLayout() {
+    panelLayout = { ...DEFAULT_LAYOUT, mode: panelLayout.mode };
+    savePanelLayout();
+    applyPanelLayout();
+}
+
+/**
+ * Pick where a dropped panel sticks
+ * @param {DOMRect} rect - Panel bounds at the drop
+ * @param {number} pointerY - Pointer position at the drop
+ */
+function getDockAt(rect, pointerY) {
+    const topBarHeight = getTopBarHeight();
+    if (topBarHeight && pointerY < topBarHeight) return 'topbar';
+
+    const distances = {
+        left: rect.left,
+        right: window.innerWidth - rect.right,
+        top: rect.top - topBarHeight,
+        bottom: window.innerHeight - rect.bottom,
+    };
+    const [edge, distance] = Object.entries(distances).sort((a, b) => a[1] - b[1])[0];
+    return distance < DOCK_SNAP_DISTANCE ? edge : 'free';
+}
+
+/**
+ * Drag the panel by its header (full), track info (compact) or anywhere (mini)
+ */
+function onPanelPointerDown(e) {
+    if (e.button !== 0 || playerPanel.classList.contains('collapsed')) return;
+    if (isMobileLayout() && panelLayout.mode !== 'mini') return;
+    if (e.target.closest('button, select, input, .spotify-progress-bar-container')) return;
+
+    const handleSelector = { full: '.spotify-header', compact: '.spotify-track-info', mini: '.spotify-track-info' }[panelLayout.mode];
+    if (!e.target.closest(handleSelector)) return;
+
+    const startRect = playerPanel.getBoundingClientRect();
+    const startX = e.clientX;
+    const startY = e.clientY;
+    let dragging = false;
+
+    const onMove = (moveEvent) => {
+        const dx = moveEvent.clientX - startX;
+        const dy = moveEvent.clientY - startY;
+        if (!dragging) {
+            if (Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+            dragging = true;
+            // Out of the top bar for the drag; the drop decides where it goes
+            mountPanel(null);
+            playerPanel.classList.add('dragging');
+            playerPanel.setPointerCapture(e.pointerId);
+        }
+        const style = playerPanel.style;
+        style.right = style.bottom = 'auto';
+        style.left = `${startRect.left + dx}px`;
+        style.top = `${startRect.top + dy}px`;
+    };
+
+    const onUp = (upEvent) => {
+        playerPanel.removeEventListener('pointermove', onMove);
+        playerPanel.removeEventListener('pointerup', onUp);
+        playerPanel.removeEventListener('pointercancel', onUp);
+        if (!dragging) return;
+
+        playerPanel.classList.remove('dragging');
+        const rect = playerPanel.getBoundingClientRect();
+        panelLayout.dock = getDockAt(rect, upEvent.clientY);
+        panelLayout.x = rect.left;
+        panelLayout.y = rect.top;
+        savePanelLayout();
+        applyPanelLayout();
+
+        // Don't let the drop count as a click on whatever is under the pointer
+        playerPanel.addEventListener('click', (clickEvent) => clickEvent.stopPropagation(), { capture: true, once: true });
+    };
+
+    playerPanel.addEventListener('pointermove', onMove);
+    playerPanel.addEventListener('pointerup', onUp);
+    playerPanel.addEventListener('pointercancel', onUp);
+}
+
+/**
+ * Set a panel text, restarting its marquee only when the text changes
+ * @param {HTMLElement|null} element
+ * @param {string} text
+ */
+function setPanelText(element, text) {
+    if (!element || element.textContent === text) return;
+    element.textContent = text;
+    updateMarquee(element);
+}
+
+/**
+ * Scroll a text that doesn't fit back and forth (compact and mini layouts)
+ * @param {HTMLElement} element - Text container; its text is wrapped in a span
+ */
+function updateMarquee(element) {
+    if (!element) return;
+    let span = element.querySelector('.spotify-marquee-text');
+    if (!span || span.textContent !== element.textContent) {
+        const text = element.textContent;
+        element.textContent = '';
+        span = document.createElement('span');
+        span.className = 'spotify-marquee-text';
+        span.textContent = text;
+        element.appendChild(span);
+    }
+
+    const overflow = Math.ceil(span.getBoundingClientRect().width - element.clientWidth);
+    element.classList.toggle('marquee', overflow > 0);
+    element.style.setProperty('--marquee-distance', `${-Math.max(0, overflow)}px`);
+    // About 30px per second, with a pause at each end from the keyframes
+    element.style.setProperty('--marquee-duration', `${Math.max(4, overflow / 30 + 2)}s`);
+}
+
+function refreshMarquees() {
+    updateMarquee(document.getElementById('spotify_track_name'));
+    updateMarquee(document.getElementById('spotify_artist_name'));
+}
+
+function bindPanelLayout() {
+    playerPanel.addEventListener('pointerdown', onPanelPointerDown);
+    playerPanel.querySelectorAll('.spotify-layout-btn').forEach(button => {
+        button.addEventListener('click', () => setLayoutMode());
+    });
+
+    // Mini pill: click the art to play/pause, double-click the title to go back to the full layout
+    playerPanel.querySelector('.spotify-art-wrap').addEventListener('click', () => {
+        if (panelLayout.mode === 'mini') playerPanel.querySelector('#spotify_play_pause_btn').click();
+    });
+    playerPanel.querySelector('.spotify-track-details').addEventListener('dblclick', () => {
+        if (panelLayout.mode === 'mini') setLayoutMode('full');
+    });
+
+    applyPanelLayout();
+}
+
+// =============================================================================
+// PANEL THEME
+// =============================================================================
+
+// Album art is scaled down to this many pixels square before counting colors
+const THEME_SAMPLE_SIZE = 32;
+// WCAG contrast targets: panel text on the background, controls against it
+const THEME_TEXT_CONTRAST = 7;
+const THEME_ACCENT_CONTRAST = 3;
+const THEME_PROPERTIES = ['--spotify-accent', '--spotify-accent-end', '--spotify-on-accent', '--spotify-bg-start', '--spotify-bg-end'];
+
+// Art the current dynamic colors were taken from
+let themeArtUrl = null;
+
+/**
+ * Relative luminance of an sRGB color, per WCAG 2
+ * @param {number[]} rgb - [r, g, b], 0 to 255
+ */
+function getLuminance([r, g, b]) {
+    const [lr, lg, lb] = [r, g, b].map(channel => {
+        const value = channel / 255;
+        return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+}
+
+function getContrast(first, second) {
+    const [lighter, darker] = [getLuminance(first), getLuminance(second)].sort((a, b) => b - a);
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Move a color toward another one
+ * @param {number[]} rgb - Color to change
+ * @param {number[]} target - Color to move toward
+ * @param {number} amount - 0 (unchanged) to 1 (target)
+ */
+function mixColor(rgb, target, amount) {
+    return rgb.map((channel, i) => Math.round(channel + (target[i] - channel) * amount));
+}
+
+const toCssColor = (rgb, alpha = 1) => `rgba(${rgb.join(', ')}, ${alpha})`;
+
+/**
+ * Find the dominant and a vivid accent color in raw RGBA pixels
+ * @param {Uint8ClampedArray} pixels
+ * @returns {{dominant: number[], accent: number[]}|null}
+ */
+function pickArtColors(pixels) {
+    // Bucket similar colors together, 16 levels per channel
+    const buckets = new Map();
+    for (let i = 0; i < pixels.length; i += 4) {
+        if (pixels[i + 3] < 128) continue;
+        const key = (pixels[i] >> 4) << 8 | (pixels[i + 1] >> 4) << 4 | pixels[i + 2] >> 4;
+        const bucket = buckets.get(key) || { count: 0, sum: [0, 0, 0] };
+        bucket.count++;
+        bucket.sum[0] += pixels[i];
+        bucket.sum[1] += pixels[i + 1];
+        bucket.sum[2] += pixels[i + 2];
+        buckets.set(key, bucket);
+    }
+    if (!buckets.size) return null;
+
+    const colors = [...buckets.values()].map(bucket => {
+        const rgb = bucket.sum.map(total => Math.round(total / bucket.count));
+        const saturation = (Math.max(...rgb) - Math.min(...rgb)) / 255;
+        return { rgb, count: bucket.count, saturation };
+    });
+
+    const dominant = colors.reduce((best, color) => color.count > best.count ? color : best);
+    // Prefer common, saturated colors that stand apart from the background
+    const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+    const accent = colors
+        .filter(color => distance(color.rgb, dominant.rgb) > 60)
+        .reduce((best, color) => {
+            const score = color.count * (0.1 + color.saturation) ** 2;
+            return !best || score > best.score ? { ...color, score } : best;
+        }, null);
+
+    return { dominant: dominant.rgb, accent: (accent || dominant).rgb };
+}
+
+/**
+ * Load album art and pick its colors
+ * @param {string} url - Art URL; must be same-origin (the /art route) or served with CORS headers
+ * @returns {Promise<{dominant: number[], accent: number[]}|null>}
+ */
+function extractArtColors(url) {
+    return new Promise((resolve) => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => {
+            try {
+                const canvas = document.createElement('canvas');
+                canvas.width = canvas.height = THEME_SAMPLE_SIZE;
+                const context = canvas.getContext('2d', { willReadFrequently: true });
+                context.drawImage(image, 0, 0, THEME_SAMPLE_SIZE, THEME_SAMPLE_SIZE);
+                resolve(pickArtColors(context.getImageData(0, 0, THEME_SAMPLE_SIZE, THEME_SAMPLE_SIZE).data));
+            } catch {
+                // Art from a host without CORS headers taints the canvas
+                resolve(null);
+            }
+        };
+        image.onerror = () => resolve(null);
+        image.src = url;
+    });
+}
+
+/**
+ * Turn album colors into a readable panel palette (light text on a dark background)
+ * @param {{dominant: number[], accent: number[]}} colors
+ */
+function buildPalette({ dominant, accent }) {
+    const white = [255, 255, 255];
+    const black = [0, 0, 0];
+
+    let background = dominant;
+    for (let i = 0; i < 20 && getContrast(white, background) < THEME_TEXT_CONTRAST; i++) {
+        background = mixColor(background, black, 0.15);
+    }
+
+    let highlight = accent;
+    for (let i = 0; i < 20 && getContrast(highlight, background) < THEME_ACCENT_CONTRAST; i++) {
+        highlight = mixColor(highlight, white, 0.15);
+    }
+
+    return {
+        '--spotify-accent': toCssColor(highlight),
+        '--spotify-accent-end': toCssColor(mixColor(highlight, white, 0.2)),
+        '--spotify-on-accent': getContrast(white, highlight) >= getContrast(black, highlight) ? 'white' : 'black',
+        '--spotify-bg-start': toCssColor(background, 0.85),
+        '--spotify-bg-end': toCssColor(mixColor(background, black, 0.5), 0.85),
+    };
+}
+
+function clearDynamicColors() {
+    THEME_PROPERTIES.forEach(property => playerPanel?.style.removeProperty(property));
+}
+
+/**
+ * Apply the theme chosen in the settings; the dynamic theme follows the current album art
+ */
+function applyPanelTheme() {
+    if (!playerPanel) return;
+    playerPanel.classList.toggle('theme-sillytavern', settings.panelTheme === 'sillytavern');
+
+    if (settings.panelTheme !== 'dynamic') {
+        themeArtUrl = null;
+        clearDynamicColors();
+        return;
+    }
+
+    const url = lastPlayerState?.item?.album.images[0]?.url || null;
+    if (url === themeArtUrl) return;
+    themeArtUrl = url;
+    if (!url) {
+        clearDynamicColors();
+        return;
+    }
+
+    extractArtColors(url).then((colors) => {
+        // The track changed again while the art was loading
+        if (url !== themeArtUrl || !playerPanel) return;
+        if (!colors) {
+            clearDynamicColors();
+            return;
+        }
+        for (const [property, value] of Object.entries(buildPalette(colors))) {
+            playerPanel.style.setProperty(property, value);
+        }
+    });
+}
+
+// =============================================================================
+// LYRICS
+// =============================================================================
+
+// Lyrics of the track currently shown, keyed so a track change triggers a new lookup
+let lyricsTrackKey = null;
+let lyricsLines = [];
+let lyricsSynced = false;
+let activeLyricIndex = -1;
+
+/**
+ * Fetch lyrics for a track from the MPRIS plugin, unless they are already loaded.
+ * In Spotify API mode only the plugin's lyrics folder is searched.
+ * @param {object} state - Normalized player state
+ */
+async function loadLyrics(state) {
+    const title = state?.item?.name || '';
+    const artist = state?.item?.artists?.map(a => a.name).join(', ') || '';
+    const key = `${artist}\u0000${title}\u0000${state?.url || ''}`;
+    if (key === lyricsTrackKey) return;
+    lyricsTrackKey = key;
+    lyricsLines = [];
+    lyricsSynced = false;
+    activeLyricIndex = -1;
+
+    if (!title) {
+        renderLyrics('Not Playing');
+        return;
+    }
+    renderLyrics('Loading lyrics...');
+
+    const params = new URLSearchParams({ artist, title });
+    if (settings.useMusicFolder && state.trackId) {
+        // Lets the plugin look for an .lrc next to the file
+        params.set('track', state.trackId);
+    } else if (settings.useMpris) {
+        for (const [name, value] of Object.entries(getMprisTarget())) params.set(name, value);
+    }
+
+    let lyrics = null;
+    try {
+        const response = await fetch('/api/plugins/mpris/lyrics?' + params);
+        if (response.ok) lyrics = await response.json();
+    } catch (err) {
+        console.error('Lyrics fetch error:', err);
+    }
+    // The track changed while we were waiting
+    if (key !== lyricsTrackKey) return;
+
+    if (!lyrics?.found || !lyrics.lines.length) {
+        renderLyrics('No lyrics found');
+        return;
+    }
+    lyricsLines = lyrics.lines;
+    lyricsSynced = lyrics.synced;
+    renderLyrics();
+}
+
+/**
+ * Render the loaded lyrics, or a placeholder message
+ * @param {string} [message] - Shown instead of lyrics
+ */
+function renderLyrics(message) {
+    const view = document.getElementById('spotify_lyrics_view');
+    if (!view) return;
+    view.innerHTML = '';
+    view.classList.toggle('synced', lyricsSynced);
+
+    if (message) {
+        const placeholder = document.createElement('div');
+        placeholder.className = 'spotify-view-empty';
+        placeholder.textContent = message;
+        view.appendChild(placeholder);
+        return;
+    }
+
+    lyricsLines.forEach((line, index) => {
+        const element = document.createElement('div');
+        element.className = 'spotify-lyric-line';
+        element.dataset.index = String(index);
+        // Keep instrumental breaks visible so the highlight doesn't linger on the previous line
+        element.textContent = line.text || '♪';
+        if (lyricsSynced) element.title = formatTime(line.time_ms);
+        view.appendChild(element);
+    });
+
+    if (lastPlayerState) renderLyricsProgress(getCurrentProgressMs(lastPlayerState));
+}
+
+/**
+ * Highlight the synced line for a playback position and keep it in view
+ * @param {number} progressMs - Current playback position
+ */
+function renderLyricsProgress(progressMs) {
+    if (!lyricsSynced || !isPanelViewOpen('lyrics')) return;
+
+    let index = -1;
+    while (index + 1 < lyricsLines.length && lyricsLines[index + 1].time_ms <= progressMs) index++;
+    if (index === activeLyricIndex) return;
+    activeLyricIndex = index;
+
+    const view = document.getElementById('spotify_lyrics_view');
+    if (!view) return;
+    view.querySelector('.spotify-lyric-line.active')?.classList.remove('active');
+    const current = view.querySelector(`.spotify-lyric-line[data-index="${index}"]`);
+    if (current) {
+        current.classList.add('active');
+        view.scrollTo({ top: current.offsetTop - view.clientHeight / 2 + current.clientHeight / 2, behavior: 'smooth' });
+    }
+}
+
+/**
+ * Seek to a clicked lyric line
+ */
+async function onLyricClick(e) {
+    const line = e.target.closest('.spotify-lyric-line');
+    if (!line || !lyricsSynced || isReadOnly()) return;
+    const lyric = lyricsLines[Number(line.dataset.index)];
+    if (!lyric) return;
+    await seekToPosition(lyric.time_ms / 1000);
+    updatePlayerUI();
+}
+
+// =============================================================================
+// LISTENING HISTORY
+// =============================================================================
+
+// Listens shorter than this (skipped tracks) are not recorded
+const HISTORY_MIN_LISTEN_MS = 10000;
+const HISTORY_RECENT_COUNT = 50;
+const HISTORY_TOP_COUNT = 10;
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {number} timestamp - When the track started (ms since epoch)
+ * @property {string} title
+ * @property {string} artist
+ * @property {string} album
+ * @property {number} listened_ms - Time the track was actually playing
+ * @property {string} player - MPRIS player name, or 'spotify' in Spotify API mode
+ * @property {string} character - Character or group name at the time
+ * @property {string} chat - Chat ID at the time
+ */
+
+// Track being listened to: { key, entry: HistoryEntry, countedAt, recorded }
+let currentListen = null;
+let historyTab = 'recent';
+
+// Kept in the browser's IndexedDB rather than the settings, which are uploaded on every save
+const historyStore = localforage.createInstance({ name: extensionName, storeName: 'history' });
+const HISTORY_STORE_KEY = 'entries';
+/** @type {HistoryEntry[]} Oldest first */
+let listeningHistory = [];
+// Writes are chained so an older list never lands after a newer one
+let historySaveQueue = Promise.resolve();
+
+/**
+ * Load the history saved in IndexedDB
+ */
+async function loadHistory() {
+    try {
+        const stored = await historyStore.getItem(HISTORY_STORE_KEY);
+        listeningHistory = Array.isArray(stored) ? stored : [];
+    } catch (err) {
+        console.warn('Spotify: could not load the listening history:', err);
+    }
+}
+
+function saveHistory() {
+    historySaveQueue = historySaveQueue
+        .then(() => historyStore.setItem(HISTORY_STORE_KEY, listeningHistory))
+        .catch(err => console.warn('Spotify: could not save the listening history:', err));
+}
+
+/**
+ * Drop the oldest entries beyond the configured limit
+ */
+function trimHistory() {
+    const limit = Math.max(1, settings.historyLimit);
+    if (listeningHistory.length > limit) listeningHistory.splice(0, listeningHistory.length - limit);
+}
+
+function getTrackKey(state) {
+    if (!state?.item?.name) return null;
+    return `${state.item.artists.map(a => a.name).join(', ')}\u0000${state.item.name}\u0000${state.player || ''}`;
+}
+
+/**
+ * Add the time played since the last call to the current listen.
+ * Called before lastPlayerState is replaced, and by the progress ticker.
+ */
+function countListenTime() {
+    if (!currentListen) return;
+    const now = Date.now();
+    if (lastPlayerState?.is_playing) {
+        currentListen.entry.listened_ms += now - currentListen.countedAt;
+    }
+    currentListen.countedAt = now;
+
+    // Record once the track was really listened to; later saves carry the growing listened_ms
+    if (!currentListen.recorded && currentListen.entry.listened_ms >= HISTORY_MIN_LISTEN_MS) {
+        currentListen.recorded = true;
+        listeningHistory.push(currentListen.entry);
+        trimHistory();
+        saveHistory();
+        if (isPanelViewOpen('history')) renderHistory();
+    }
+}
+
+/**
+ * Start a new listen when the track changes
+ * @param {object|null} data - Normalized player state that was just applied
+ */
+function updateListen(data) {
+    if (!settings.enableHistory) {
+        currentListen = null;
+        return;
+    }
+
+    const key = getTrackKey(data);
+    if (currentListen && currentListen.key === key) return;
+
+    if (currentListen?.recorded) {
+        currentListen.entry.listened_ms = Math.round(currentListen.entry.listened_ms);
+        saveHistory();
+    }
+    currentListen = null;
+
+    // Paused tracks start a listen once they play
+    if (!key || !data.is_playing) return;
+
+    const context = getContext();
+    const character = context.groupId
+        ? context.groups?.find(group => group.id === context.groupId)?.name
+        : context.characters?.[context.characterId]?.name;
+
+    currentListen = {
+        key,
+        countedAt: Date.now(),
+        recorded: false,
+        entry: {
+            timestamp: Date.now(),
+            title: data.item.name,
+            artist: data.item.artists.map(a => a.name).join(', '),
+            album: data.item.album.name || '',
+            listened_ms: 0,
+            player: settings.useMpris || settings.useMusicFolder ? (data.player || '') : 'spotify',
+            character: character || '',
+            chat: context.chatId || '',
+        },
+    };
+}
+
+/**
+ * History entries for the scope chosen in the panel, oldest first
+ * @returns {HistoryEntry[]}
+ */
+function getScopedHistory() {
+    const scope = document.getElementById('spotify_history_scope')?.value || 'chat';
+    const chatId = getContext().chatId;
+    if (scope === 'all' || !chatId) return listeningHistory;
+    return listeningHistory.filter(entry => entry.chat === chatId);
+}
+
+/**
+ * Group entries and rank the groups by play count, then by time listened
+ * @param {HistoryEntry[]} entries
+ * @param {function(HistoryEntry): string} keyOf - Group key
+ * @param {function(HistoryEntry): string} labelOf - Text shown for the group
+ */
+function rankHistory(entries, keyOf, labelOf) {
+    const groups = new Map();
+    for (const entry of entries) {
+        const key = keyOf(entry).toLowerCase();
+        const group = groups.get(key) || { label: labelOf(entry), plays: 0, listened_ms: 0 };
+        group.plays++;
+        group.listened_ms += entry.listened_ms;
+        groups.set(key, group);
+    }
+    return [...groups.values()]
+        .sort((a, b) => b.plays - a.plays || b.listened_ms - a.listened_ms)
+        .slice(0, HISTORY_TOP_COUNT);
+}
+
+function renderHistory() {
+    const list = document.getElementById('spotify_history_list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    playerPanel?.querySelectorAll('.spotify-history .spotify-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.tab === historyTab);
+    });
+
+    const entries = getScopedHistory();
+    if (!entries.length) {
+        const placeholder = document.createElement('div');
+        placeholder.className = 'spotify-view-empty';
+        placeholder.textContent = settings.enableHistory ? 'Nothing recorded yet' : 'History is turned off in the settings';
+        list.appendChild(placeholder);
+        return;
+    }
+
+    let rows;
+    if (historyTab === 'artists') {
+        rows = rankHistory(entries, entry => entry.artist, entry => entry.artist)
+            .map(group => ({ main: group.label, detail: `${group.plays}× · ${formatTime(group.listened_ms)}` }));
+    } else if (historyTab === 'tracks') {
+        rows = rankHistory(entries, entry => `${entry.artist}\u0000${entry.title}`, entry => `${entry.title} - ${entry.artist}`)
+            .map(group => ({ main: group.label, detail: `${group.plays}× · ${formatTime(group.listened_ms)}` }));
+    } else {
+        rows = entries.slice(-HISTORY_RECENT_COUNT).reverse().map(entry => ({
+            main: `${entry.title} - ${entry.artist}`,
+            detail: new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+            title: `${new Date(entry.timestamp).toLocaleString()} · ${formatTime(entry.listened_ms)} listened`
+                + (entry.character ? ` · ${entry.character}` : ''),
+        }));
+    }
+
+    for (const row of rows) {
+        const element = document.createElement('div');
+        element.className = 'spotify-history-row';
+        if (row.title) element.title = row.title;
+        const main = document.createElement('span');
+        main.className = 'spotify-history-main';
+        main.textContent = row.main;
+        const detail = document.createElement('span');
+        detail.className = 'spotify-history-detail';
+        detail.textContent = row.detail;
+        element.append(main, detail);
+        list.appendChild(element);
+    }
+}
+
+function toCsvField(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Download the history in the panel's scope
+ * @param {'csv'|'json'} format
+ */
+function exportHistory(format) {
+    const entries = getScopedHistory();
+    if (!entries.length) {
+        toastr.info('No listening history to export');
+        return;
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === 'json') {
+        download(JSON.stringify(entries, null, 2), `listening-history-${date}.json`, 'application/json');
+        return;
+    }
+
+    const columns = ['timestamp', 'title', 'artist', 'album', 'listened_seconds', 'player', 'character', 'chat'];
+    const lines = entries.map(entry => [
+        new Date(entry.timestamp).toISOString(),
+        entry.title,
+        entry.artist,
+        entry.album,
+        Math.round(entry.listened_ms / 1000),
+        entry.player,
+        entry.character,
+        entry.chat,
+    ].map(toCsvField).join(','));
+    download([columns.join(','), ...lines].join('\n'), `listening-history-${date}.csv`, 'text/csv');
+}
+
+function bindHistoryView() {
+    playerPanel.querySelectorAll('.spotify-history .spotify-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            historyTab = tab.dataset.tab;
+            renderHistory();
+        });
+    });
+    playerPanel.querySelector('#spotify_history_scope').addEventListener('change', renderHistory);
+    playerPanel.querySelectorAll('.spotify-history-export').forEach(button => {
+        button.addEventListener('click', () => exportHistory(button.dataset.format));
+    });
+}
+
+function clearHistory() {
+    if (!confirm('Delete the whole listening history?')) return;
+    listeningHistory = [];
+    if (currentListen) currentListen.recorded = false;
+    saveHistory();
+    renderHistory();
+    toastr.info('Listening history cleared');
+}
+
+// =============================================================================
+// SPOTIFY LIBRARY
+// =============================================================================
+
+const LIBRARY_SEARCH_DELAY_MS = 400;
+const LIBRARY_SEARCH_LIMIT = 8;
+const LIBRARY_PLAYLIST_PAGE = 50;
+
+let libraryTab = 'queue';
+let librarySearchTimeout = null;
+// Bumped on every render so slow responses for an old tab or query are dropped
+let libraryRequestId = 0;
+
+/**
+ * Whether the current connection was granted every scope in SPOTIFY_SCOPES
+ */
+function hasRequiredScopes() {
+    const granted = spotifySession.scope.split(' ');
+    return SPOTIFY_SCOPES.every(scope => granted.includes(scope));
+}
+
+/**
+ * Ask connections made before the library scopes existed to reconnect
+ */
+function promptForMissingScopes() {
+    if (settings.useMpris || settings.useMusicFolder || !spotifySession.connected || hasRequiredScopes()) return;
+    toastr.info('Reconnect to Spotify to use the queue, search and playlists. Click here to reconnect.', 'Spotify', {
+        timeOut: 15000,
+        onclick: initiateAuth,
+    });
+}
+
+/**
+ * Call the Spotify Web API
+ * @param {string} pathOrUrl - Path under /v1/, or a full `next` URL from a paged response
+ * @returns {Promise<object|null>} Parsed response, or null on failure
+ */
+async function spotifyRequest(pathOrUrl) {
+    if (!spotifySession.connected) return null;
+
+    // The proxy takes the part after /v1/ of a full URL
+    const path = pathOrUrl.replace(/^https?:\/\/[^/]+\/v1\//, '');
+    try {
+        const response = await spotifyFetch(path);
+        if (response.status === 204) return null;
+        if (response.status === 403) {
+            // Usually a scope the connection was never granted
+            promptForMissingScopes();
+            return null;
+        }
+        if (!response.ok) throw new Error(`Status ${response.status}`);
+        return await response.json();
+    } catch (err) {
+        console.error('Spotify API Error:', err);
+        return null;
+    }
+}
+
+/**
+ * @typedef {object} LibraryItem
+ * @property {string} uri - Spotify URI, or folder: URI in music folder mode
+ * @property {string} title
+ * @property {string} subtitle
+ * @property {string} image - Smallest image URL, or ''
+ */
+
+/**
+ * Turn a track, episode, album or playlist object into a list row
+ * @returns {LibraryItem}
+ */
+function toLibraryItem(item) {
+    const images = item.album?.images || item.images || [];
+    let subtitle = '';
+    if (item.type === 'playlist') subtitle = `Playlist · ${item.owner?.display_name || ''}`;
+    else if (item.type === 'album') subtitle = `Album · ${(item.artists || []).map(a => a.name).join(', ')}`;
+    else if (item.type === 'episode') subtitle = item.show?.name || 'Episode';
+    else subtitle = (item.artists || []).map(a => a.name).join(', ');
+
+    return {
+        uri: item.uri,
+        title: item.name,
+        subtitle,
+        image: images.length ? images[images.length - 1].url : '',
+    };
+}
+
+/**
+ * Play a track, episode, album or playlist on the active device
+ * @param {string} uri - Spotify URI, or folder: URI
+ */
+async function playLibraryItem(uri) {
+    if (uri.startsWith('folder:')) {
+        await playFolderUri(uri);
+        return;
+    }
+
+    // Single tracks are played as a list, everything else as a context
+    const body = uri.startsWith('spotify:track:') || uri.startsWith('spotify:episode:') ? { uris: [uri] } : { context_uri: uri };
+    if (await controlPlayer('play', 'PUT', body)) {
+        setTimeout(updatePlayerUI, TRACK_CHANGE_DELAY_MS);
+    }
+}
+
+async function queueLibraryItem(uri) {
+    if (uri.startsWith('folder:')) {
+        if (queueFolderUri(uri)) toastr.info('Added to queue');
+        return;
+    }
+
+    if (await controlPlayer(`queue?uri=${encodeURIComponent(uri)}`, 'POST')) {
+        toastr.info('Added to queue');
+        if (libraryTab === 'queue') renderLibrary();
+    }
+}
+
+/**
+ * Append rows to the library list
+ * @param {HTMLElement} list
+ * @param {LibraryItem[]} items
+ * @param {{play?: boolean, queue?: boolean}} actions - Buttons to show on each row
+ */
+function appendLibraryRows(list, items, actions) {
+    for (const item of items) {
+        const row = document.createElement('div');
+        row.className = 'spotify-library-row';
+        row.dataset.uri = item.uri;
+
+        const image = document.createElement('img');
+        image.className = 'spotify-library-art';
+        image.src = item.image;
+        image.alt = '';
+        if (!item.image) image.style.visibility = 'hidden';
+
+        const text = document.createElement('div');
+        text.className = 'spotify-library-text';
+        const title = document.createElement('div');
+        title.className = 'spotify-library-title';
+        title.textContent = item.title;
+        const subtitle = document.createElement('div');
+        subtitle.className = 'spotify-library-subtitle';
+        subtitle.textContent = item.subtitle;
+        text.append(title, subtitle);
+        row.append(image, text);
+
+        if (actions.queue) {
+            row.insertAdjacentHTML('beforeend', '<button class="spotify-btn small" data-action="queue" title="Add to queue"><i class="fa-solid fa-plus"></i></button>');
+        }
+        if (actions.play) {
+            row.insertAdjacentHTML('beforeend', '<button class="spotify-btn small" data-action="play" title="Play"><i class="fa-solid fa-play"></i></button>');
+        }
+        list.appendChild(row);
+    }
+}
+
+function appendLibraryMessage(list, message) {
+    const placeholder = document.createElement('div');
+    placeholder.className = 'spotify-view-empty';
+    placeholder.textContent = message;
+    list.appendChild(placeholder);
+}
+
+function appendLibraryHeading(list, text) {
+    const heading = document.createElement('div');
+    heading.className = 'spotify-library-heading';
+    heading.textContent = text;
+    list.appendChild(heading);
+}
+
+/**
+ * Render the open library tab
+ * @param {string} [nextPage] - `next` URL of the playlist page to append instead of starting over
+ */
+async function renderLibrary(nextPage) {
+    const view = playerPanel?.querySelector('.spotify-library');
+    const list = document.getElementById('spotify_library_list');
+    if (!view || !list) return;
+
+    const requestId = ++libraryRequestId;
+    view.dataset.tab = libraryTab;
+    view.querySelectorAll('.spotify-tab').forEach(tab => tab.classList.toggle('active', tab.dataset.tab === libraryTab));
+    list.querySelector('.spotify-library-more')?.remove();
+
+    // The music folder has albums where Spotify has playlists
+    const playlistsTab = view.querySelector('.spotify-tab[data-tab="playlists"]');
+    const queryInput = /** @type {HTMLInputElement} */ (view.querySelector('#spotify_library_query'));
+    playlistsTab.textContent = settings.useMusicFolder ? 'Albums' : 'Playlists';
+    queryInput.placeholder = settings.useMusicFolder ? 'Search tracks, artists, albums' : 'Search tracks, albums, playlists';
+    if (settings.useMusicFolder) {
+        list.innerHTML = '';
+        await renderFolderLibrary(list);
+        return;
+    }
+
+    if (!nextPage) {
+        list.innerHTML = '';
+        if (!spotifySession.connected) {
+            appendLibraryMessage(list, 'Connect to Spotify in the settings first');
+            return;
+        }
+        if (!hasRequiredScopes()) {
+            appendLibraryMessage(list, 'Reconnect to Spotify to allow access to your library');
+            list.insertAdjacentHTML('beforeend', '<button class="spotify-tab spotify-library-reconnect"><i class="fa-solid fa-link"></i> Reconnect</button>');
+            return;
+        }
+    }
+
+    if (libraryTab === 'queue') {
+        const data = await spotifyRequest('me/player/queue');
+        if (requestId !== libraryRequestId) return;
+        const items = (data?.queue || []).filter(Boolean).map(toLibraryItem);
+        if (!items.length) {
+            appendLibraryMessage(list, data ? 'The queue is empty' : 'Nothing is playing');
+            return;
+        }
+        appendLibraryHeading(list, 'Next up');
+        appendLibraryRows(list, items, {});
+    } else if (libraryTab === 'search') {
+        const query = String(document.getElementById('spotify_library_query')?.value || '').trim();
+        if (!query) {
+            appendLibraryMessage(list, 'Search for tracks, albums and playlists');
+            return;
+        }
+        const data = await spotifyRequest('search?' + new URLSearchParams({ q: query, type: 'track,album,playlist', limit: String(LIBRARY_SEARCH_LIMIT) }));
+        if (requestId !== libraryRequestId) return;
+
+        // Spotify may return null entries for unavailable items
+        const sections = [
+            ['Tracks', data?.tracks?.items, { play: true, queue: true }],
+            ['Albums', data?.albums?.items, { play: true }],
+            ['Playlists', data?.playlists?.items, { play: true }],
+        ];
+        let found = false;
+        for (const [heading, results, actions] of sections) {
+            const items = (results || []).filter(Boolean).map(toLibraryItem);
+            if (!items.length) continue;
+            found = true;
+            appendLibraryHeading(list, heading);
+            appendLibraryRows(list, items, actions);
+        }
+        if (!found) appendLibraryMessage(list, data ? 'No results' : 'Search failed');
+    } else {
+        const data = await spotifyRequest(nextPage || `me/playlists?limit=${LIBRARY_PLAYLIST_PAGE}`);
+        if (requestId !== libraryRequestId) return;
+        const items = (data?.items || []).filter(Boolean).map(toLibraryItem);
+        if (!items.length && !nextPage) {
+            appendLibraryMessage(list, data ? 'No playlists' : 'Could not load playlists');
+            return;
+        }
+        appendLibraryRows(list, items, { play: true });
+        if (data?.next) {
+            const more = document.createElement('button');
+            more.className = 'spotify-tab spotify-library-more';
+            more.textContent = 'Load more';
+            more.dataset.next = data.next;
+            list.appendChild(more);
+        }
+    }
+}
+
+function bindLibraryView() {
+    const view = playerPanel.querySelector('.spotify-library');
+    view.querySelectorAll('.spotify-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            libraryTab = tab.dataset.tab;
+            renderLibrary();
+            if (libraryTab === 'search') document.getElementById('spotify_library_query')?.focus();
+        });
+    });
+
+    const query = view.querySelector('#spotify_library_query');
+    query.addEventListener('input', () => {
+        clearTimeout(librarySearchTimeout);
+        librarySearchTimeout = setTimeout(() => renderLibrary(), LIBRARY_SEARCH_DELAY_MS);
+    });
+    query.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        clearTimeout(librarySearchTimeout);
+        renderLibrary();
+    });
+
+    view.querySelector('#spotify_library_list').addEventListener('click', (e) => {
+        const target = /** @type {HTMLElement} */ (e.target);
+        if (target.closest('.spotify-library-reconnect')) {
+            initiateAuth();
+            return;
+        }
+        const more = target.closest('.spotify-library-more');
+        if (more) {
+            renderLibrary(more.dataset.next);
+            return;
+        }
+        const button = target.closest('button[data-action]');
+        const uri = button?.closest('.spotify-library-row')?.dataset.uri;
+        if (!uri) return;
+        if (button.dataset.action === 'queue') queueLibraryItem(uri);
+        else playLibraryItem(uri);
+    });
+}
+
+// =============================================================================
+// MEDIA SESSION
+// =============================================================================
+
+// Lock screen / media key seek step when the browser doesn't give one
+const MEDIA_SESSION_SEEK_OFFSET_SEC = 10;
+
+// Browsers only show media controls for pages that are playing audio themselves,
+// so a silent loop plays locally while the remote player plays
+let mediaSessionAudio = null;
+let mediaSessionTrackKey = null;
+
+/**
+ * One second of silent 8 kHz mono 8-bit WAV, as an object URL
+ */
+function createSilentAudioUrl() {
+    const sampleRate = 8000;
+    const buffer = new ArrayBuffer(44 + sampleRate);
+    const view = new DataView(buffer);
+    const writeString = (offset, text) => [...text].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + sampleRate, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true); // fmt chunk size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, 1, true); // Mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate, true); // Byte rate
+    view.setUint16(32, 1, true); // Block align
+    view.setUint16(34, 8, true); // Bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, sampleRate, true);
+    new Uint8Array(buffer, 44).fill(128); // 8-bit silence is the midpoint
+
+    return URL.createObjectURL(new Blob([buffer], { type: 'audio/wav' }));
+}
+
+/**
+ * Route the browser's media controls (lock screen, notification, hardware keys) to the player
+ */
+function registerMediaSessionHandlers() {
+    if (!('mediaSession' in navigator)) return;
+
+    const handlers = {
+        play: () => playWithFade(),
+        pause: () => pauseWithFade(),
+        stop: () => pauseWithFade(),
+        nexttrack: () => controlPlayer('next'),
+        previoustrack: () => controlPlayer('previous'),
+        seekto: (details) => seekToPosition(details.seekTime),
+        seekbackward: (details) => seekBy(-(details.seekOffset || MEDIA_SESSION_SEEK_OFFSET_SEC)),
+        seekforward: (details) => seekBy(details.seekOffset || MEDIA_SESSION_SEEK_OFFSET_SEC),
+    };
+
+    for (const [action, handler] of Object.entries(handlers)) {
+        try {
+            navigator.mediaSession.setActionHandler(action, settings.enableMediaSession ? async (details) => {
+                await handler(details);
+                updatePlayerUI();
+            } : null);
+        } catch {
+            // Action not supported by this browser
+        }
+    }
+}
+
+/**
+ * Seek relative to the current (locally advanced) position
+ * @param {number} offsetSec - Seconds to move, negative to go back
+ */
+async function seekBy(offsetSec) {
+    const data = lastPlayerState;
+    if (!data?.item) return;
+    const positionSec = getCurrentProgressMs(data) / 1000 + offsetSec;
+    await seekToPosition(Math.min(Math.max(0, positionSec), data.item.duration_ms / 1000));
+}
+
+/**
+ * Publish the player state to the browser's media session
+ * @param {object|null} data - Normalized player state
+ */
+function updateMediaSession(data) {
+    if (!('mediaSession' in navigator)) return;
+
+    if (!settings.enableMediaSession || !data?.item) {
+        mediaSessionTrackKey = null;
+        navigator.mediaSession.metadata = null;
+        navigator.mediaSession.playbackState = 'none';
+        mediaSessionAudio?.pause();
+        return;
+    }
+
+    const key = getTrackKey(data);
+    if (key !== mediaSessionTrackKey) {
+        mediaSessionTrackKey = key;
+        const artwork = data.item.album.images.map(image => ({ src: image.url }));
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title: data.item.name,
+            artist: data.item.artists.map(a => a.name).join(', '),
+            album: data.item.album.name || '',
+            artwork,
+        });
+    }
+
+    navigator.mediaSession.playbackState = data.is_playing ? 'playing' : 'paused';
+
+    if (data.item.duration_ms > 0) {
+        try {
+            navigator.mediaSession.setPositionState({
+                duration: data.item.duration_ms / 1000,
+                position: Math.min(data.progress_ms, data.item.duration_ms) / 1000,
+                playbackRate: 1,
+            });
+        } catch {
+            // Older browsers lack setPositionState
+        }
+    }
+
+    // The music folder player is a real audio element already
+    if (settings.useMusicFolder) {
+        mediaSessionAudio?.pause();
+        return;
+    }
+
+    if (!mediaSessionAudio) {
+        mediaSessionAudio = new Audio(createSilentAudioUrl());
+        mediaSessionAudio.loop = true;
+    }
+    if (data.is_playing) {
+        // Rejected until the user has interacted with the page; the next state retries
+        mediaSessionAudio.play().catch(() => { });
+    } else {
+        mediaSessionAudio.pause();
+    }
+}
+
+// =============================================================================
+// SOUNDTRACKS
+// =============================================================================
+
+// Stored in the character card (data.extensions) and in chat metadata
+const SOUNDTRACK_FIELD = 'st_basic_spotify';
+const SOUNDTRACK_METADATA_KEY = 'st_basic_spotify_soundtrack';
+
+// Time for a player to load an opened URI before it can be seeked or paused
+const SOUNDTRACK_LOAD_DELAY_MS = 1500;
+
+// What was playing before the first soundtrack took over, restored when leaving soundtrack chats
+let soundtrackSnapshot = null;
+let activeSoundtrackUri = null;
+
+// Soundtracks start on their own only if they can't reach beyond music: Spotify URIs in API mode and
+// library IDs in folder mode. MPRIS opens anything on the host, so there a URI must have been entered
+// or confirmed on this device (character cards are downloaded from anywhere).
+const SPOTIFY_SOUNDTRACK_PATTERN = /^spotify:(track|album|playlist|artist|episode|show):[A-Za-z0-9]+$/;
+const FOLDER_SOUNDTRACK_PATTERN = /^folder:(track|album):./;
+const TRUSTED_SOUNDTRACKS_KEY = 'spotify_trusted_soundtracks';
+const TRUSTED_SOUNDTRACKS_LIMIT = 200;
+// Declined this session; asked again after a reload
+const declinedSoundtrackUris = new Set();
+
+/**
+ * @typedef {object} Soundtrack
+ * @property {string} uri - Spotify URI/URL (API mode), URI/absolute path for `playerctl open` (MPRIS)
+ *     or folder:track:/folder:album: URI (music folder)
+ * @property {boolean} shuffle - Turn shuffle on when starting
+ * @property {number|null} volume - Starting volume in percent, or null to leave it
+ */
+
+/**
+ * Check a stored soundtrack; cards and chats are imported from anywhere
+ * @param {any} value
+ * @returns {Soundtrack|null} Null when there is no usable URI
+ */
+function toSoundtrack(value) {
+    if (typeof value?.uri !== 'string' || !value.uri.trim()) return null;
+    return {
+        uri: value.uri.trim(),
+        shuffle: value.shuffle === true,
+        volume: Number.isFinite(value.volume) ? Math.min(100, Math.max(0, value.volume)) : null,
+    };
+}
+
+function getCharacterSoundtrack() {
+    const context = getContext();
+    if (context.characterId === undefined || context.groupId) return null;
+    return toSoundtrack(context.characters[context.characterId]?.data?.extensions?.[SOUNDTRACK_FIELD]?.soundtrack);
+}
+
+function getChatSoundtrack() {
+    return toSoundtrack(getContext().chatMetadata?.[SOUNDTRACK_METADATA_KEY]);
+}
+
+function getTrustedSoundtracks() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(TRUSTED_SOUNDTRACKS_KEY) || '[]');
+        return Array.isArray(saved) ? saved.filter(uri => typeof uri === 'string') : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Let a soundtrack URI start on its own on this device from now on
+ */
+function trustSoundtrack(uri) {
+    const trusted = getTrustedSoundtracks().filter(other => other !== uri);
+    trusted.push(uri);
+    localStorage.setItem(TRUSTED_SOUNDTRACKS_KEY, JSON.stringify(trusted.slice(-TRUSTED_SOUNDTRACKS_LIMIT)));
+}
+
+/**
+ * Whether a soundtrack may start when its chat opens, asking first for MPRIS URIs this device hasn't seen
+ * @param {Soundtrack} soundtrack
+ */
+function mayAutoplaySoundtrack(soundtrack) {
+    if (settings.useMusicFolder) return FOLDER_SOUNDTRACK_PATTERN.test(soundtrack.uri);
+    if (!settings.useMpris) return SPOTIFY_SOUNDTRACK_PATTERN.test(toSpotifyUri(soundtrack.uri));
+
+    if (getTrustedSoundtracks().includes(soundtrack.uri)) return true;
+    if (declinedSoundtrackUris.has(soundtrack.uri)) return false;
+    if (!confirm(`This chat's soundtrack wants to open the following in your media player:\n\n${soundtrack.uri}\n\nAllow it on this device?`)) {
+        declinedSoundtrackUris.add(soundtrack.uri);
+        return false;
+    }
+    trustSoundtrack(soundtrack.uri);
+    return true;
+}
 
-    // Bind Controls
-    playerPanel.querySelector('#spotify_prev_btn').addEventListener('click', () => controlPlayer('previous'));
-    playerPanel.querySelector('#spotify_next_btn').addEventListener('click', () => controlPlayer('next'));
-    playerPanel.querySelector('#spotify_play_pause_btn').addEventListener('click', async () => {
-        const state = await fetchPlayerState();
-        if (state && state.is_playing) {
-            controlPlayer('pause', 'PUT');
-        } else {
-            controlPlayer('play', 'PUT');
-        }
-        updatePlayerUI();
-    });
+/**
+ * Convert an open.spotify.com link to a spotify: URI; other values pass through
+ */
+function toSpotifyUri(value) {
+    const match = /open\.spotify\.com\/(?:intl-[a-z]+\/)?(track|album|playlist|artist|episode|show)\/([A-Za-z0-9]+)/.exec(value);
+    return match ? `spotify:${match[1]}:${match[2]}` : value.trim();
+}
 
-    // Shuffle button
-    playerPanel.querySelector('#spotify_shuffle_btn').addEventListener('click', async () => {
+/**
+ * Start a soundtrack on the active player
+ * @param {Soundtrack} soundtrack
+ */
+async function playSoundtrack(soundtrack) {
+    if (settings.useMusicFolder) {
+        if (soundtrack.shuffle && !folderQueue.shuffle) toggleFolderShuffle();
+        if (!await playFolderUri(soundtrack.uri)) return;
+    } else if (settings.useMpris) {
+        if (denyReadOnly()) return;
         try {
-            const response = await fetch('/api/plugins/mpris/shuffle', {
+            const response = await fetch('/api/plugins/mpris/open', {
                 method: 'POST',
                 headers: getRequestHeaders(),
+                body: JSON.stringify({ uri: soundtrack.uri, ...getMprisTarget() }),
             });
-            if (response.ok) {
-                toastr.info('Shuffle toggled');
+            if (!response.ok) {
+                if (!noteMprisDenied(response)) toastr.warning('The player could not open the soundtrack.');
+                return;
             }
         } catch (err) {
-            console.error('Shuffle error:', err);
+            console.error('Soundtrack open error:', err);
+            return;
+        }
+
+        if (soundtrack.shuffle) {
+            await new Promise(resolve => setTimeout(resolve, SOUNDTRACK_LOAD_DELAY_MS));
+            const state = await fetchPlayerState();
+            if (state && !state.shuffle) await toggleShuffle();
+        }
+    } else {
+        const uri = toSpotifyUri(soundtrack.uri);
+        if (soundtrack.shuffle) {
+            await controlPlayer('shuffle?state=true', 'PUT');
+        }
+        // Single tracks are played as a list, everything else as a context
+        const body = uri.startsWith('spotify:track:') || uri.startsWith('spotify:episode:') ? { uris: [uri] } : { context_uri: uri };
+        await controlPlayer('play', 'PUT', body);
+    }
+
+    if (typeof soundtrack.volume === 'number') {
+        await setVolume(soundtrack.volume / 100);
+    }
+}
+
+/**
+ * Remember what is playing so it can be resumed later
+ */
+async function captureSnapshot() {
+    const state = await fetchPlayerState();
+    if (!state || !state.item) return null;
+
+    return {
+        playing: !!state.is_playing,
+        progress_ms: state.progress_ms || 0,
+        volume: state.volume,
+        shuffle: !!state.shuffle,
+        // MPRIS reports the file/stream URL, Spotify the track and the playlist/album it came from
+        url: state.url || '',
+        trackUri: state.item.uri || '',
+        contextUri: state.context?.uri || '',
+    };
+}
+
+async function restoreSnapshot(snapshot) {
+    if (settings.useMpris || settings.useMusicFolder) {
+        if (!snapshot.url) return;
+        await playSoundtrack({ uri: snapshot.url, shuffle: false, volume: null });
+        await new Promise(resolve => setTimeout(resolve, SOUNDTRACK_LOAD_DELAY_MS));
+        await seekToPosition(snapshot.progress_ms / 1000);
+    } else {
+        if (!snapshot.trackUri) return;
+        const body = snapshot.contextUri
+            ? { context_uri: snapshot.contextUri, offset: { uri: snapshot.trackUri }, position_ms: snapshot.progress_ms }
+            : { uris: [snapshot.trackUri], position_ms: snapshot.progress_ms };
+        await controlPlayer(`shuffle?state=${snapshot.shuffle}`, 'PUT');
+        await controlPlayer('play', 'PUT', body);
+    }
+
+    if (typeof snapshot.volume === 'number') {
+        await setVolume(snapshot.volume);
+    }
+    if (!snapshot.playing) {
+        await new Promise(resolve => setTimeout(resolve, SOUNDTRACK_LOAD_DELAY_MS));
+        await controlPlayer('pause', 'PUT');
+    }
+}
+
+/**
+ * Switch to the chat's (or character's) soundtrack, or back to what played before
+ */
+async function onChatChangedSoundtrack() {
+    renderSoundtrackSettings();
+    // Read-only users would only collect warnings for each chat
+    if (!settings.enableSoundtracks || isReadOnly()) return;
+
+    const soundtrack = getChatSoundtrack() || getCharacterSoundtrack();
+
+    if (soundtrack) {
+        // Same soundtrack as the previous chat (e.g. another chat with this character): keep playing
+        if (soundtrack.uri === activeSoundtrackUri) return;
+        if (!mayAutoplaySoundtrack(soundtrack)) {
+            if (!settings.useMpris) toastr.warning(`This chat's soundtrack "${soundtrack.uri}" can't play in the current mode.`);
+            return;
+        }
+
+        if (!activeSoundtrackUri) {
+            soundtrackSnapshot = await captureSnapshot();
+        }
+        activeSoundtrackUri = soundtrack.uri;
+        await playSoundtrack(soundtrack);
+        updatePlayerUI();
+        return;
+    }
+
+    if (activeSoundtrackUri) {
+        activeSoundtrackUri = null;
+        const snapshot = soundtrackSnapshot;
+        soundtrackSnapshot = null;
+        if (settings.restoreAfterSoundtrack && snapshot) {
+            await restoreSnapshot(snapshot);
+            updatePlayerUI();
+        }
+    }
+}
+
+/**
+ * Read a soundtrack form (character or chat) from the settings panel
+ * @param {'character'|'chat'} scope
+ * @returns {Soundtrack|null} Soundtrack, or null if no URI was entered
+ */
+function readSoundtrackForm(scope) {
+    const uri = String($(`#spotify_soundtrack_${scope}_uri`).val() || '').trim();
+    if (!uri) return null;
+    const volume = parseInt(String($(`#spotify_soundtrack_${scope}_volume`).val()), 10);
+    return {
+        uri,
+        shuffle: $(`#spotify_soundtrack_${scope}_shuffle`).prop('checked'),
+        volume: Number.isFinite(volume) ? Math.min(100, Math.max(0, volume)) : null,
+    };
+}
+
+async function saveSoundtrack(scope) {
+    const soundtrack = readSoundtrackForm(scope);
+    const context = getContext();
+    // Entered (or saved unchanged) here, so it may start on this device
+    if (soundtrack) trustSoundtrack(soundtrack.uri);
+
+    if (scope === 'character') {
+        if (context.characterId === undefined || context.groupId) {
+            toastr.warning('Open a character chat first.');
+            return;
+        }
+        const extensionData = context.characters[context.characterId]?.data?.extensions?.[SOUNDTRACK_FIELD] || {};
+        await writeExtensionField(context.characterId, SOUNDTRACK_FIELD, { ...extensionData, soundtrack });
+    } else {
+        if (!context.chatId) {
+            toastr.warning('Open a chat first.');
+            return;
+        }
+        if (soundtrack) {
+            context.chatMetadata[SOUNDTRACK_METADATA_KEY] = soundtrack;
+        } else {
+            delete context.chatMetadata[SOUNDTRACK_METADATA_KEY];
+        }
+        saveMetadataDebounced();
+    }
+
+    toastr.success(soundtrack ? 'Soundtrack saved.' : 'Soundtrack cleared.');
+    // Apply right away, as if the chat had just been opened
+    await onChatChangedSoundtrack();
+}
+
+async function clearSoundtrack(scope) {
+    $(`#spotify_soundtrack_${scope}_uri`).val('');
+    await saveSoundtrack(scope);
+}
+
+/**
+ * Fill a soundtrack URI field with what is playing now
+ */
+async function useCurrentAsSoundtrack(scope) {
+    const state = await fetchPlayerState();
+    const uri = settings.useMpris || settings.useMusicFolder ? state?.url : (state?.context?.uri || state?.item?.uri);
+    if (!uri) {
+        toastr.warning('The player does not report a location for the current track.');
+        return;
+    }
+    $(`#spotify_soundtrack_${scope}_uri`).val(uri);
+}
+
+/**
+ * Show the current character's and chat's soundtracks in the settings panel
+ */
+function renderSoundtrackSettings() {
+    const context = getContext();
+    const hasCharacter = context.characterId !== undefined && !context.groupId;
+    const character = hasCharacter ? context.characters[context.characterId] : null;
+
+    $('#spotify_soundtrack_character_name').text(character ? character.name : 'No character selected');
+    $('#spotify_soundtrack_chat_name').text(context.chatId || 'No chat open');
+
+    for (const [scope, soundtrack] of [['character', getCharacterSoundtrack()], ['chat', getChatSoundtrack()]]) {
+        $(`#spotify_soundtrack_${scope}_uri`).val(soundtrack?.uri || '');
+        $(`#spotify_soundtrack_${scope}_shuffle`).prop('checked', !!soundtrack?.shuffle);
+        $(`#spotify_soundtrack_${scope}_volume`).val(typeof soundtrack?.volume === 'number' ? soundtrack.volume : '');
+    }
+    $('#spotify_soundtrack_character_row').toggleClass('disabled', !character);
+}
+
+// =============================================================================
+// VOLUME DUCKING
+// =============================================================================
+
+// SillyTavern's TTS extension speaks through this element
+const TTS_AUDIO_SELECTOR = '#tts_audio';
+
+const DUCK_FADE_OUT_MS = 500;
+const DUCK_FADE_IN_MS = 1500;
+
+// TTS starts right after a generation ends and pauses between chunks; don't bring the music back in between
+const DUCK_RELEASE_DELAY_MS = 1500;
+
+// Give the music back when a generation never reports its end (errors)
+const DUCK_GENERATION_TIMEOUT_MS = 5 * 60 * 1000;
+
+// What keeps the music ducked right now: 'generation', 'tts'
+const duckReasons = new Set();
+// What to restore, or null when nothing was ducked
+/** @type {{ volume: number|null, paused: boolean }|null} */
+let duckSnapshot = null;
+let duckReleaseTimeout = null;
+let duckGenerationTimeout = null;
+// Ducking and restoring run one after another
+let duckQueue = Promise.resolve();
+
+function runDucking(task) {
+    duckQueue = duckQueue.then(task).catch(err => console.error('Ducking error:', err));
+}
+
+/**
+ * @param {'generation'|'tts'} reason
+ */
+function startDucking(reason) {
+    // Read-only users can't lower the host's volume
+    if (settings.duckMode === 'off' || isReadOnly()) return;
+    clearTimeout(duckReleaseTimeout);
+    duckReleaseTimeout = null;
+
+    const wasDucked = duckReasons.size > 0;
+    duckReasons.add(reason);
+    if (wasDucked) return;
+    // A restore may be fading in; duck again from where it got to
+    if (duckSnapshot) cancelFade();
+    runDucking(duckMusic);
+}
+
+/**
+ * @param {'generation'|'tts'} reason
+ */
+function stopDucking(reason) {
+    if (!duckReasons.delete(reason) || duckReasons.size > 0) return;
+    clearTimeout(duckReleaseTimeout);
+    duckReleaseTimeout = setTimeout(() => {
+        duckReleaseTimeout = null;
+        if (duckReasons.size === 0) runDucking(restoreMusic);
+    }, DUCK_RELEASE_DELAY_MS);
+}
+
+/**
+ * Drop the snapshot, leaving the music as it is (the user changed the volume or the player)
+ */
+function forgetDuck() {
+    duckSnapshot = null;
+}
+
+async function duckMusic() {
+    if (duckReasons.size === 0) return;
+
+    // Set when a restore was interrupted; it still holds the original volume
+    let snapshot = duckSnapshot;
+    if (!snapshot) {
+        const state = await fetchPlayerState();
+        if (!state?.is_playing || duckReasons.size === 0) return;
+        snapshot = { volume: state.volume ?? null, paused: false };
+    }
+
+    // Players without volume control are paused instead
+    if (settings.duckMode === 'volume' && snapshot.volume != null) {
+        duckSnapshot = { ...snapshot, paused: false };
+        const from = lastPlayerState?.volume ?? snapshot.volume;
+        const fade = await fadeVolume(from, snapshot.volume * settings.duckVolume / 100, DUCK_FADE_OUT_MS);
+        // The player reports a volume but refuses to change it: pause after all
+        if (fade === 'failed' && await controlPlayer('pause', 'PUT')) {
+            duckSnapshot = { volume: null, paused: true };
+        }
+    } else if (await controlPlayer('pause', 'PUT')) {
+        duckSnapshot = { ...snapshot, paused: true };
+    }
+}
+
+async function restoreMusic() {
+    const snapshot = duckSnapshot;
+    if (!snapshot || duckReasons.size > 0) return;
+
+    let from = lastPlayerState?.volume ?? 0;
+    if (snapshot.paused) {
+        // Start silent and fade in
+        if (snapshot.volume != null) {
+            from = await setVolume(0) ? 0 : null;
+        }
+        if (!await controlPlayer('play', 'PUT')) {
+            duckSnapshot = null;
+            return;
+        }
+    }
+
+    // from is null when the player refused the volume; it won't take the fade either
+    if (snapshot.volume == null || from === null || await fadeVolume(from, snapshot.volume, DUCK_FADE_IN_MS) !== 'cancelled') {
+        // Unless a new duck or the user took over in the meantime
+        if (duckSnapshot === snapshot) duckSnapshot = null;
+    }
+}
+
+/**
+ * A media event from anywhere in the document; only the TTS player's matter
+ * @param {Event} event
+ */
+function onTtsAudioEvent(event) {
+    const target = event.target;
+    if (!(target instanceof HTMLMediaElement) || !target.matches(TTS_AUDIO_SELECTOR)) return;
+
+    if (event.type === 'playing') {
+        if (settings.duckOnTts) startDucking('tts');
+    } else {
+        stopDucking('tts');
+    }
+}
+
+function onGenerationStarted(type, _options, dryRun) {
+    // Dry runs only count tokens, quiet prompts run in the background
+    if (dryRun || type === 'quiet' || !settings.duckOnGeneration) return;
+    startDucking('generation');
+    clearTimeout(duckGenerationTimeout);
+    duckGenerationTimeout = setTimeout(() => stopDucking('generation'), DUCK_GENERATION_TIMEOUT_MS);
+}
+
+function onGenerationFinished() {
+    clearTimeout(duckGenerationTimeout);
+    duckGenerationTimeout = null;
+    stopDucking('generation');
+}
+
+function registerDuckingListeners() {
+    eventSource.on(event_types.GENERATION_STARTED, onGenerationStarted);
+    eventSource.on(event_types.GENERATION_ENDED, onGenerationFinished);
+    eventSource.on(event_types.GENERATION_STOPPED, onGenerationFinished);
+
+    // Media events don't bubble, but capturing listeners on the document still see them
+    for (const type of ['playing', 'pause', 'ended', 'emptied']) {
+        document.addEventListener(type, onTtsAudioEvent, true);
+    }
+}
+
+/**
+ * Ducking turned off or a trigger disabled: give back what was taken
+ */
+function releaseDucking() {
+    if (!settings.duckOnGeneration) onGenerationFinished();
+    if (!settings.duckOnTts) stopDucking('tts');
+    if (settings.duckMode === 'off') {
+        duckReasons.clear();
+        clearTimeout(duckReleaseTimeout);
+        duckReleaseTimeout = null;
+        runDucking(restoreMusic);
+    }
+}
+
+// =============================================================================
+// SLEEP TIMER
+// =============================================================================
+
+// Per device, like the panel layout, and kept across reloads
+const SLEEP_STORAGE_KEY = 'spotify_sleep_timer';
+const SLEEP_FADE_MS = 10000;
+const SLEEP_TICK_MS = 1000;
+
+/**
+ * @typedef {object} SleepTimer
+ * @property {number} [endsAt] - Pause at this time (ms since epoch)
+ * @property {number} [tracksLeft] - Pause when this many tracks have ended, counting the current one
+ * @property {string|null} [trackKey] - Track playing at the last tick, to count track changes
+ */
+
+/** @type {SleepTimer|null} */
+let sleepTimer = loadSleepTimer();
+let sleepTicker = null;
+
+function loadSleepTimer() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SLEEP_STORAGE_KEY) || 'null');
+        if (saved && (Number.isFinite(saved.endsAt) || saved.tracksLeft > 0)) return saved;
+    } catch {
+        // Ignore a corrupt entry
+    }
+    return null;
+}
+
+function saveSleepTimer() {
+    if (sleepTimer) {
+        localStorage.setItem(SLEEP_STORAGE_KEY, JSON.stringify(sleepTimer));
+    } else {
+        localStorage.removeItem(SLEEP_STORAGE_KEY);
+    }
+}
+
+/**
+ * @param {{ minutes?: number, tracks?: number }} options - Pause after this many minutes or tracks
+ */
+function startSleepTimer({ minutes, tracks }) {
+    if (minutes > 0) {
+        sleepTimer = { endsAt: Date.now() + minutes * 60000 };
+    } else if (tracks > 0) {
+        sleepTimer = { tracksLeft: Math.round(tracks), trackKey: getTrackKey(lastPlayerState) };
+    } else {
+        return;
+    }
+    saveSleepTimer();
+    resumeSleepTimer();
+}
+
+function cancelSleepTimer() {
+    sleepTimer = null;
+    saveSleepTimer();
+    clearInterval(sleepTicker);
+    sleepTicker = null;
+    renderSleepTimer(null);
+}
+
+/**
+ * Start ticking for the saved timer, if any (on load and after starting one)
+ */
+function resumeSleepTimer() {
+    if (!sleepTimer) {
+        renderSleepTimer(null);
+        return;
+    }
+    if (!sleepTicker) sleepTicker = setInterval(tickSleepTimer, SLEEP_TICK_MS);
+    tickSleepTimer();
+}
+
+/**
+ * Time until the timer pauses, or null while that isn't known yet (tracks still to come)
+ */
+function getSleepRemainingMs() {
+    if (!sleepTimer) return null;
+    if (sleepTimer.endsAt) return sleepTimer.endsAt - Date.now();
+
+    const state = lastPlayerState;
+    if (sleepTimer.tracksLeft > 1 || !state?.item?.duration_ms) return null;
+    return state.item.duration_ms - getCurrentProgressMs(state);
+}
+
+function tickSleepTimer() {
+    if (!sleepTimer) return;
+
+    if (sleepTimer.tracksLeft) {
+        const key = getTrackKey(lastPlayerState);
+        if (key && key !== sleepTimer.trackKey) {
+            if (sleepTimer.trackKey) sleepTimer.tracksLeft--;
+            sleepTimer.trackKey = key;
+            saveSleepTimer();
+        }
+        // The last track ended before we could fade it (e.g. the page was closed): stop what followed
+        if (sleepTimer.tracksLeft <= 0) {
+            fireSleepTimer(0);
+            return;
+        }
+    }
+
+    const remainingMs = getSleepRemainingMs();
+    renderSleepTimer(remainingMs);
+    // Paused tracks don't end; the minutes run out either way
+    if (remainingMs !== null && remainingMs <= SLEEP_FADE_MS && (sleepTimer.endsAt || lastPlayerState?.is_playing)) {
+        fireSleepTimer(Math.max(0, remainingMs));
+    }
+}
+
+/**
+ * @param {number} fadeMs - Fade out over this long, then pause
+ */
+async function fireSleepTimer(fadeMs) {
+    cancelSleepTimer();
+    if (!lastPlayerState?.is_playing) return;
+    if (await pauseWithFade(fadeMs)) {
+        toastr.info('Sleep timer: music paused');
+        updatePlayerUI();
+    }
+}
+
+/**
+ * Show the timer in the sleep view, on its header button and on the collapsed pill
+ * @param {number|null} remainingMs
+ */
+function renderSleepTimer(remainingMs) {
+    if (!playerPanel) return;
+    const status = playerPanel.querySelector('#spotify_sleep_status');
+    const badge = playerPanel.querySelector('#spotify_sleep_badge');
+    playerPanel.classList.toggle('sleep-timer-on', Boolean(sleepTimer));
+    playerPanel.querySelector('#spotify_sleep_cancel').disabled = !sleepTimer;
+
+    let text = 'Off';
+    let short = '';
+    if (sleepTimer && remainingMs !== null) {
+        const time = formatTime(Math.max(0, remainingMs));
+        text = sleepTimer.endsAt ? `Pausing in ${time}` : `Pausing at the end of this track (${time})`;
+        short = time;
+    } else if (sleepTimer) {
+        text = sleepTimer.tracksLeft > 1 ? `Pausing after ${sleepTimer.tracksLeft} tracks` : 'Pausing at the end of this track';
+        short = `${sleepTimer.tracksLeft}♪`;
+    }
+    status.textContent = text;
+    badge.textContent = short;
+}
+
+function bindSleepView() {
+    const view = playerPanel.querySelector('.spotify-sleep');
+    view.querySelectorAll('[data-sleep-minutes], [data-sleep-tracks]').forEach(button => {
+        button.addEventListener('click', () => startSleepTimer({
+            minutes: Number(button.dataset.sleepMinutes) || 0,
+            tracks: Number(button.dataset.sleepTracks) || 0,
+        }));
+    });
+    view.querySelector('#spotify_sleep_start').addEventListener('click', () => {
+        const amount = Number(view.querySelector('#spotify_sleep_amount').value);
+        if (!(amount > 0)) {
+            toastr.warning('Enter a number of minutes or tracks.');
+            return;
+        }
+        const unit = view.querySelector('#spotify_sleep_unit').value;
+        startSleepTimer(unit === 'tracks' ? { tracks: amount } : { minutes: amount });
+    });
+    view.querySelector('#spotify_sleep_cancel').addEventListener('click', cancelSleepTimer);
+    renderSleepTimer(getSleepRemainingMs());
+}
+
+// =============================================================================
+// MACROS & PROMPT INJECTION
+// =============================================================================
+
+const PROMPT_KEY = 'st_basic_spotify_nowplaying';
+let injectedPrompt = null;
+
+/**
+ * Playback status of a state as a single word
+ */
+function describeStatus(state) {
+    if (!state || !state.item) return 'stopped';
+    return state.is_playing ? 'playing' : 'paused';
+}
+
+function registerMacros() {
+    MacrosParser.registerMacro('nowplaying', () => describeTrack(lastPlayerState), 'Current track as "Title — Artist"');
+    MacrosParser.registerMacro('track', () => lastPlayerState?.item?.name || '', 'Current track title');
+    MacrosParser.registerMacro('artist', () => (lastPlayerState?.item?.artists || []).map(a => a.name).join(', '), 'Current track artist(s)');
+    MacrosParser.registerMacro('album', () => lastPlayerState?.item?.album?.name || '', 'Current track album');
+    MacrosParser.registerMacro('musicstatus', () => describeStatus(lastPlayerState), 'Music playback status: playing, paused or stopped');
+}
+
+/**
+ * Keep the now-playing extension prompt in sync with the player.
+ * Cleared while nothing is playing or when injection is disabled.
+ */
+function updatePromptInjection() {
+    const active = settings.injectPrompt && lastPlayerState?.is_playing && lastPlayerState.item;
+    const value = active ? substituteParams(settings.promptTemplate || '') : '';
+
+    if (value === injectedPrompt) return;
+    injectedPrompt = value;
+    setExtensionPrompt(PROMPT_KEY, value, extension_prompt_types.IN_CHAT, Number(settings.promptDepth) || 0, false, Number(settings.promptRole) || extension_prompt_roles.SYSTEM);
+}
+
+function onPromptSettingsChanged() {
+    settings.injectPrompt = document.getElementById('spotify_inject_prompt').checked;
+    settings.promptTemplate = document.getElementById('spotify_prompt_template').value;
+    settings.promptDepth = Math.max(0, parseInt(document.getElementById('spotify_prompt_depth').value, 10) || 0);
+    settings.promptRole = Number(document.getElementById('spotify_prompt_role').value);
+    saveSettings();
+    // Depth and role changes must be re-applied even if the text is unchanged
+    injectedPrompt = null;
+    updatePromptInjection();
+}
+
+// =============================================================================
+// SLASH COMMANDS
+// =============================================================================
+
+const MUSIC_SUBCOMMANDS = ['play', 'pause', 'toggle', 'next', 'prev', 'seek', 'volume', 'shuffle', 'repeat', 'player', 'now'];
+
+// Give the player a moment to switch tracks before reading the new one
+const TRACK_CHANGE_DELAY_MS = 800;
+
+/**
+ * "Title — Artist" for the given state, or an empty string if nothing is loaded
+ */
+function describeTrack(state) {
+    if (!state || !state.item) return '';
+    const artists = state.item.artists.map(a => a.name).filter(name => name).join(', ');
+    return artists ? `${state.item.name} — ${artists}` : state.item.name;
+}
+
+/**
+ * Fetch the current state and show it in the panel
+ */
+async function refreshPlayerState() {
+    const state = await fetchPlayerState();
+    applyPlayerState(state);
+    return state;
+}
+
+/**
+ * Parse a seek target: "90" or "1:30" (absolute), "+10s", "-1:00" (relative)
+ * @param {string} spec - Seek target
+ * @param {number} currentMs - Current position, for relative targets
+ * @returns {number|null} Target position in milliseconds, or null if invalid
+ */
+function parseSeekTarget(spec, currentMs) {
+    const match = /^([+-])?(?:(\d+):)?(\d+(?:\.\d+)?)s?$/.exec(spec.trim());
+    if (!match) return null;
+
+    const [, sign, minutes, seconds] = match;
+    const offsetMs = ((Number(minutes) || 0) * 60 + Number(seconds)) * 1000;
+    if (sign === '+') return currentMs + offsetMs;
+    if (sign === '-') return Math.max(0, currentMs - offsetMs);
+    return offsetMs;
+}
+
+async function musicCommand(_args, value) {
+    const [rawSubcommand = 'now', ...rest] = String(value || '').trim().split(/\s+/);
+    const subcommand = rawSubcommand.toLowerCase();
+    const argument = rest.join(' ');
+
+    // play, pause and toggle return nothing when the player refused or a fade was interrupted
+    switch (subcommand) {
+        case 'play': {
+            // The fades start from the current volume
+            await refreshPlayerState();
+            const ok = await playWithFade();
+            await refreshPlayerState();
+            return ok ? 'playing' : '';
+        }
+
+        case 'pause': {
+            await refreshPlayerState();
+            const ok = await pauseWithFade();
+            await refreshPlayerState();
+            return ok ? 'paused' : '';
+        }
+
+        case 'toggle': {
+            const state = await refreshPlayerState();
+            const wasPlaying = !!state?.is_playing;
+            const ok = await (wasPlaying ? pauseWithFade() : playWithFade());
+            await refreshPlayerState();
+            if (!ok) return '';
+            return wasPlaying ? 'paused' : 'playing';
+        }
+
+        case 'next':
+        case 'prev': {
+            await controlPlayer(subcommand === 'next' ? 'next' : 'previous');
+            await new Promise(resolve => setTimeout(resolve, TRACK_CHANGE_DELAY_MS));
+            return describeTrack(await refreshPlayerState());
         }
-    });
 
-    // Loop button
-    playerPanel.querySelector('#spotify_loop_btn').addEventListener('click', async () => {
-        try {
-            const response = await fetch('/api/plugins/mpris/loop', {
-                method: 'POST',
-                headers: getRequestHeaders(),
-            });
-            if (response.ok) {
-                const data = await response.json();
-                toastr.info(`Repeat: ${data.mode || 'Changed'}`);
+        case 'seek': {
+            const state = await fetchPlayerState();
+            const targetMs = parseSeekTarget(argument, state?.progress_ms || 0);
+            if (targetMs === null) {
+                toastr.warning('Usage: /music seek 1:30 | 90 | +10s | -0:15');
+                return '';
             }
-        } catch (err) {
-            console.error('Loop error:', err);
+            const durationMs = state?.item?.duration_ms;
+            const clampedMs = durationMs ? Math.min(targetMs, durationMs) : targetMs;
+            await seekToPosition(clampedMs / 1000);
+            await refreshPlayerState();
+            return formatTime(clampedMs);
         }
-    });
 
-    // Seek bar click handler
-    playerPanel.querySelector('#spotify_progress_container').addEventListener('click', async (e) => {
-        const container = e.currentTarget;
-        const rect = container.getBoundingClientRect();
-        const clickX = e.clientX - rect.left;
-        const percent = clickX / rect.width;
-        const durationMs = parseInt(playerPanel.dataset.durationMs || '0', 10);
+        case 'volume': {
+            const state = await fetchPlayerState();
+            const currentPercent = Math.round((state?.volume ?? 0) * 100);
+            if (!argument) {
+                return String(currentPercent);
+            }
 
-        if (durationMs > 0) {
-            const seekPositionSec = (percent * durationMs) / 1000;
-            await seekToPosition(seekPositionSec);
-            // Update UI immediately for feedback
-            const progressBar = document.getElementById('spotify_progress_bar');
-            if (progressBar) progressBar.style.width = `${percent * 100}%`;
+            const match = /^([+-])?(\d+)%?$/.exec(argument);
+            if (!match) {
+                toastr.warning('Usage: /music volume 50 | +10 | -10');
+                return '';
+            }
+            const amount = Number(match[2]);
+            let percent = amount;
+            if (match[1] === '+') percent = currentPercent + amount;
+            if (match[1] === '-') percent = currentPercent - amount;
+            percent = Math.min(100, Math.max(0, percent));
+
+            await setVolume(percent / 100);
+            await refreshPlayerState();
+            return String(percent);
         }
-    });
 
-    // Collapse Button Logic
-    playerPanel.querySelector('#spotify_collapse_btn').addEventListener('click', (e) => {
-        e.stopPropagation(); // Prevent double-toggle when expanded
-        toggleCollapse();
-    });
+        case 'shuffle': {
+            const state = await fetchPlayerState();
+            const wanted = argument.toLowerCase();
+            if (wanted && !['on', 'off'].includes(wanted)) {
+                toastr.warning('Usage: /music shuffle [on|off]');
+                return '';
+            }
+            const current = !!state?.shuffle;
+            const target = wanted ? wanted === 'on' : !current;
+            if (target !== current) {
+                await toggleShuffle();
+            }
+            await refreshPlayerState();
+            return target ? 'on' : 'off';
+        }
 
-    // Also allow clicking on the entire collapsed pill to expand
-    playerPanel.addEventListener('click', (e) => {
-        if (playerPanel.classList.contains('collapsed')) {
-            toggleCollapse();
+        case 'repeat': {
+            const loopNames = { off: 'None', none: 'None', context: 'Playlist', playlist: 'Playlist', track: 'Track' };
+            const wanted = argument.toLowerCase();
+            if (wanted && !loopNames[wanted]) {
+                toastr.warning('Usage: /music repeat [off|context|track]');
+                return '';
+            }
+
+            let mode = (await refreshPlayerState())?.loop || 'None';
+            if (!wanted) {
+                mode = await cycleRepeat() || mode;
+            } else {
+                // Both backends only cycle, so step until the wanted mode comes up
+                for (let i = 0; i < 3 && mode !== loopNames[wanted]; i++) {
+                    mode = await cycleRepeat();
+                    if (!mode) break;
+                    await refreshPlayerState();
+                }
+            }
+            await refreshPlayerState();
+            return Object.keys(SPOTIFY_REPEAT_TO_LOOP).find(key => SPOTIFY_REPEAT_TO_LOOP[key] === mode) || 'off';
         }
-    });
 
-    function toggleCollapse() {
-        playerPanel.classList.toggle('collapsed');
-        const isCollapsed = playerPanel.classList.contains('collapsed');
-        playerPanel.querySelector('#spotify_collapse_btn i').className = isCollapsed ? 'fa-brands fa-spotify' : 'fa-solid fa-chevron-left';
-        localStorage.setItem('spotify_sidebar_collapsed', String(isCollapsed));
-    }
+        case 'player': {
+            if (settings.useMusicFolder) return 'folder';
+            if (!settings.useMpris) {
+                const state = await fetchPlayerState();
+                return state?.device?.name || '';
+            }
+            if (argument) {
+                setPreferredPlayer(argument.toLowerCase() === 'auto' ? '' : argument);
+            }
+            const state = await refreshPlayerState();
+            return state?.player || '';
+        }
 
-    // Initial collapse icon state
-    if (playerPanel.classList.contains('collapsed')) {
-        playerPanel.querySelector('#spotify_collapse_btn i').className = 'fa-brands fa-spotify';
+        case 'now':
+            return describeTrack(await refreshPlayerState());
+
+        default:
+            toastr.warning(`Unknown /music subcommand "${rawSubcommand}". Available: ${MUSIC_SUBCOMMANDS.join(', ')}`);
+            return '';
     }
 }
 
-function removePlayerPanel() {
-    if (playerPanel) {
-        playerPanel.remove();
-        playerPanel = null;
-    }
+function registerSlashCommands() {
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'music',
+        callback: musicCommand,
+        returns: 'the result of the subcommand (e.g. "Title — Artist" for now/next/prev, the new volume for volume)',
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'subcommand, optionally followed by a value',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: false,
+            }),
+        ],
+        helpString: `
+            <div>Controls the music player (MPRIS or Spotify API, whichever is active).</div>
+            <ul>
+                <li><code>play</code>, <code>pause</code>, <code>toggle</code> - returns <code>playing</code> or <code>paused</code></li>
+                <li><code>next</code>, <code>prev</code> - returns the new track</li>
+                <li><code>seek 1:30</code>, <code>seek 90</code>, <code>seek +10s</code>, <code>seek -0:15</code> - returns the new position</li>
+                <li><code>volume</code>, <code>volume 50</code>, <code>volume +10</code> - returns the volume in percent</li>
+                <li><code>shuffle [on|off]</code> - returns <code>on</code> or <code>off</code></li>
+                <li><code>repeat [off|context|track]</code> - returns the repeat mode</li>
+                <li><code>player [name|auto]</code> - returns the controlled player (MPRIS) or device (Spotify)</li>
+                <li><code>now</code> - returns "Title — Artist"</li>
+            </ul>
+            <div><strong>Example:</strong> <code>/music now | /echo</code></div>
+        `,
+    }));
 }
 
-async function updatePlayerUI() {
-    if (!settings.enablePanel) {
-        removePlayerPanel();
-        return;
-    }
+// =============================================================================
+// PUBLIC API
+// =============================================================================
 
-    // If panel is missing but enabled, create it
-    if (!playerPanel && settings.enablePanel) {
-        createPlayerPanel();
-    }
+// Emitted on SillyTavern's eventSource with (state, previousState): copies of the
+// normalized player state, null when nothing is loaded
+const API_EVENTS = Object.freeze({
+    TRACK_CHANGED: 'st_basic_spotify_track_changed',
+    PLAYBACK_CHANGED: 'st_basic_spotify_playback_changed',
+    PLAYER_CHANGED: 'st_basic_spotify_player_changed',
+});
 
-    const data = await fetchPlayerState();
+// Copy of the state the last events were based on
+let apiState = null;
 
-    const artImg = document.getElementById('spotify_art_img');
-    const trackName = document.getElementById('spotify_track_name');
-    const artistName = document.getElementById('spotify_artist_name');
-    const playPauseBtn = document.getElementById('spotify_play_pause_btn');
-    const progressBar = document.getElementById('spotify_progress_bar');
+function copyState(state) {
+    return state ? structuredClone(state) : null;
+}
 
-    // Update container class for collapse state if needed (handled by button mostly, but good to sync)
+function getApiTrackKey(state) {
+    if (!state?.item) return null;
+    return [state.item.artists.map(a => a.name).join(', '), state.item.name, state.item.album?.name || ''].join('\u0000');
+}
 
-    if (!data || !data.item) {
-        if (trackName) trackName.textContent = 'Not Playing';
-        if (artistName) artistName.textContent = 'Start Spotify on a device';
-        if (artImg) artImg.style.display = 'none';
-        return;
+/**
+ * @returns {'playing'|'paused'|'stopped'}
+ */
+function getPlaybackStatus(state) {
+    if (!state?.item) return 'stopped';
+    return state.is_playing ? 'playing' : 'paused';
+}
+
+/**
+ * MPRIS player name, 'folder', or the Spotify device
+ */
+function getApiPlayerName(state) {
+    return state?.player || state?.device?.name || null;
+}
+
+/**
+ * Emit the events for whatever differs from the previous state. Polls that
+ * change nothing but the position stay silent.
+ * @param {object|null} state - Normalized player state
+ */
+function emitStateEvents(state) {
+    const previous = apiState;
+    const changed = [];
+    if (getApiTrackKey(previous) !== getApiTrackKey(state)) changed.push(API_EVENTS.TRACK_CHANGED);
+    if (getPlaybackStatus(previous) !== getPlaybackStatus(state)) changed.push(API_EVENTS.PLAYBACK_CHANGED);
+    if (getApiPlayerName(previous) !== getApiPlayerName(state)) changed.push(API_EVENTS.PLAYER_CHANGED);
+
+    apiState = copyState(state);
+    for (const event of changed) {
+        // Listeners get their own copies, so they can't change ours or each other's
+        eventSource.emit(event, copyState(state), copyState(previous));
     }
+}
 
-    if (trackName) trackName.textContent = data.item.name;
-    if (artistName) artistName.textContent = data.item.artists.map(a => a.name).join(', ');
+/**
+ * Run a command for the API and read back the state it led to
+ * @param {() => Promise<boolean>} command
+ * @param {number} [delayMs] - Time for the player to switch tracks
+ * @returns {Promise<boolean>} False when the player refused
+ */
+async function runApiCommand(command, delayMs = 0) {
+    const ok = await command();
+    if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+    await refreshPlayerState();
+    return ok;
+}
 
-    if (artImg && data.item.album.images.length > 0) {
-        artImg.src = data.item.album.images[0].url;
-        artImg.style.display = 'block';
+/**
+ * window.STBasicSpotify, for other extensions and scripts
+ */
+const publicApi = Object.freeze({
+    events: API_EVENTS,
+
+    /**
+     * Last known state, with the position advanced to now
+     * @returns {object|null} Normalized player state, null when nothing is loaded or polling hasn't started
+     */
+    getState() {
+        const state = copyState(lastPlayerState);
+        if (state?.item) state.progress_ms = getCurrentProgressMs(lastPlayerState);
+        return state;
+    },
+
+    /**
+     * @returns {'folder'|'mpris'|'spotify'}
+     */
+    getMode: () => getControlMode(),
+
+    play: () => runApiCommand(() => controlPlayer('play', 'PUT')),
+    pause: () => runApiCommand(() => controlPlayer('pause', 'PUT')),
+    next: () => runApiCommand(() => controlPlayer('next'), TRACK_CHANGE_DELAY_MS),
+    previous: () => runApiCommand(() => controlPlayer('previous'), TRACK_CHANGE_DELAY_MS),
+
+    /**
+     * @param {number} positionMs - Position in the current track
+     */
+    seek(positionMs) {
+        if (!Number.isFinite(positionMs)) throw new TypeError('positionMs must be a number');
+        return runApiCommand(() => seekToPosition(Math.max(0, positionMs) / 1000));
+    },
+
+    /**
+     * @param {number} volume - 0.0 to 1.0
+     */
+    setVolume(volume) {
+        if (!Number.isFinite(volume)) throw new TypeError('volume must be a number');
+        return runApiCommand(() => setVolume(volume));
+    },
+});
+
+// =============================================================================
+// DIAGNOSTICS
+// =============================================================================
+
+// A command slower than this points at a busy or unresponsive player
+const SLOW_COMMAND_MS = 1000;
+// Most recent plugin errors to list
+const DIAGNOSTIC_ERROR_COUNT = 5;
+
+const DIAGNOSTIC_ICONS = {
+    ok: 'fa-circle-check',
+    warn: 'fa-triangle-exclamation',
+    fail: 'fa-circle-xmark',
+    info: 'fa-circle-info',
+};
+
+/**
+ * @typedef {object} DiagnosticResult
+ * @property {'ok'|'warn'|'fail'|'info'} status
+ * @property {string} title - What was found
+ * @property {string} [detail] - What it means and what to do about it
+ */
+
+/**
+ * Check that the server plugin loaded and what it can reach
+ * @returns {Promise<DiagnosticResult[]>}
+ */
+async function checkServerPlugin() {
+    let response;
+    try {
+        response = await fetch('/api/plugins/mpris/health');
+    } catch (err) {
+        return [{
+            status: 'fail',
+            title: 'SillyTavern server unreachable',
+            detail: 'The browser could not reach the SillyTavern server. Check that it is still running.',
+        }];
     }
 
-    if (playPauseBtn) {
-        playPauseBtn.innerHTML = data.is_playing ? '<i class="fa-solid fa-pause"></i>' : '<i class="fa-solid fa-play"></i>';
+    if (response.status === 404) {
+        // Plugins from before /health existed still answer /players
+        const players = await fetch('/api/plugins/mpris/players').catch(() => null);
+        if (players?.ok) {
+            return [{
+                status: 'warn',
+                title: 'Server plugin is outdated',
+                detail: 'The plugin runs but is older than the extension. Copy the mpris folder into SillyTavern/plugins/ again and restart SillyTavern.',
+            }];
+        }
+        return [{
+            status: 'fail',
+            title: 'Server plugin not loaded',
+            detail: 'SillyTavern did not load the mpris plugin. Set enableServerPlugins: true in config.yaml, check that the mpris folder is in SillyTavern/plugins/, and restart SillyTavern. Its console should then show lines starting with [MPRIS].',
+        }];
+    }
+    if (!response.ok) {
+        return [{
+            status: 'fail',
+            title: `Server plugin error (HTTP ${response.status})`,
+            detail: 'The plugin is installed but could not answer. The SillyTavern console shows why.',
+        }];
     }
 
-    if (progressBar && data.item.duration_ms) {
-        const percent = (data.progress_ms / data.item.duration_ms) * 100;
-        progressBar.style.width = `${percent}%`;
-        // Store duration for seek bar click calculations
-        if (playerPanel) {
-            playerPanel.dataset.durationMs = String(data.item.duration_ms);
+    const health = await response.json();
+    const usesDBus = health.backend === 'dbus';
+    const results = [{
+        status: 'ok',
+        title: 'Server plugin is running',
+        detail: settings.useMusicFolder ? undefined : `Players are controlled through ${usesDBus ? 'D-Bus' : 'playerctl'}.`,
+    }];
+
+    // Media players don't matter to the music folder, which the plugin serves itself
+    if (!settings.useMusicFolder) {
+        if (health.dbus.reachable) {
+            results.push({ status: 'ok', title: 'D-Bus session bus reachable' });
+        } else {
+            results.push({
+                status: usesDBus ? 'fail' : 'warn',
+                title: 'D-Bus session bus unreachable',
+                detail: `${health.dbus.error}. Media players announce themselves on your desktop session's bus, which SillyTavern can't see when it runs as a system service, over SSH or in Docker. Start SillyTavern from your desktop session, or pass it DBUS_SESSION_BUS_ADDRESS.`,
+            });
+        }
+
+        if (health.playerctl.installed) {
+            results.push({ status: 'ok', title: health.playerctl.version ? `playerctl ${health.playerctl.version} installed` : 'playerctl installed' });
+        } else if (usesDBus) {
+            results.push({ status: 'info', title: 'playerctl not installed', detail: 'Not needed while D-Bus works.' });
+        } else {
+            results.push({
+                status: 'fail',
+                title: 'playerctl not installed',
+                detail: 'Without D-Bus the plugin needs playerctl. Install it with your package manager, e.g. sudo apt install playerctl or sudo pacman -S playerctl.',
+            });
+        }
+
+        if (health.players.length) {
+            results.push({ status: 'ok', title: `Players found: ${health.players.join(', ')}` });
+        } else {
+            results.push({
+                status: 'warn',
+                title: 'No media players found',
+                detail: 'Start your music player. Browsers only show up while a tab is playing, and some players (such as mpv or cmus) need an MPRIS plugin or option turned on.',
+            });
+        }
+
+        if (settings.useMpris) await checkMprisAccess();
+        if (isReadOnly()) {
+            results.push({
+                status: 'info',
+                title: 'Read-only access',
+                detail: 'The plugin\'s controlAccess policy lets your account see what is playing but not control it. An admin can add your user handle to allowedUsers in plugins/mpris/config.json.',
+            });
         }
+    }
 
-        // Update time display
-        const timeCurrent = document.getElementById('spotify_time_current');
-        const timeDuration = document.getElementById('spotify_time_duration');
-        if (timeCurrent) timeCurrent.textContent = formatTime(data.progress_ms);
-        if (timeDuration) timeDuration.textContent = formatTime(data.item.duration_ms);
+    if (health.lastCommand) {
+        const { route, status, durationMs } = health.lastCommand;
+        const failed = status >= 400;
+        const slow = durationMs > SLOW_COMMAND_MS;
+        results.push({
+            status: failed || slow ? 'warn' : 'ok',
+            title: `Last command (${route}) took ${durationMs} ms`,
+            detail: failed ? `It failed with HTTP ${status}.` : slow ? 'The player is slow to respond. It may be busy or stuck.' : undefined,
+        });
     }
 
-    // Update shuffle/loop button active states
-    const shuffleBtn = document.getElementById('spotify_shuffle_btn');
-    const loopBtn = document.getElementById('spotify_loop_btn');
+    for (const error of health.errors.slice(-DIAGNOSTIC_ERROR_COUNT).reverse()) {
+        results.push({
+            status: 'warn',
+            title: `${error.context} failed${error.count > 1 ? ` (${error.count} times)` : ''}`,
+            detail: `${error.message} (last at ${new Date(error.at).toLocaleTimeString()})`,
+        });
+    }
+    return results;
+}
 
-    if (shuffleBtn) {
-        if (data.shuffle) {
-            shuffleBtn.classList.add('active');
-        } else {
-            shuffleBtn.classList.remove('active');
+/**
+ * Check that the server's Spotify login still works
+ * @returns {Promise<DiagnosticResult[]>}
+ */
+async function checkSpotifyLogin() {
+    await loadSpotifySession();
+    // Without the plugin there is no login to check; checkServerPlugin explains why
+    if (!spotifySession.available) return [];
+    if (!spotifySession.connected) {
+        // Only a problem when the extension is set to use Spotify
+        return settings.useMpris || settings.useMusicFolder ? [] : [{
+            status: 'fail',
+            title: 'Not connected to Spotify',
+            detail: 'Enter your Client ID under Spotify API Authentication and click Connect.',
+        }];
+    }
+
+    const response = await spotifyFetch('me').catch(() => null);
+    if (response?.ok) {
+        const profile = await response.json();
+        const results = [{ status: 'ok', title: `Spotify login valid (${profile.display_name || profile.id})` }];
+        if (!hasRequiredScopes()) {
+            results.push({
+                status: 'warn',
+                title: 'Spotify login lacks library access',
+                detail: 'It was made before the library existed. Click Connect to allow the queue, search and playlists.',
+            });
         }
+        return results;
     }
 
-    if (loopBtn) {
-        if (data.loop && data.loop !== 'None') {
-            loopBtn.classList.add('active');
-            // Show different icon for track repeat vs playlist repeat
-            if (data.loop === 'Track') {
-                loopBtn.innerHTML = '<i class="fa-solid fa-repeat"></i><span class="repeat-one">1</span>';
-            } else {
-                loopBtn.innerHTML = '<i class="fa-solid fa-repeat"></i>';
-            }
-        } else {
-            loopBtn.classList.remove('active');
-            loopBtn.innerHTML = '<i class="fa-solid fa-repeat"></i>';
+    const problems = {
+        401: ['Spotify login expired', 'Spotify no longer accepts the saved login. Click Connect to log in again.'],
+        403: ['Spotify refused this account', 'Apps in development mode only work for accounts added under User Management in the Spotify Developer Dashboard. Add your account there.'],
+        429: ['Spotify rate limit reached', 'Too many requests were made recently. Wait a minute and check again.'],
+        502: ['Could not reach Spotify', "The SillyTavern server couldn't connect to Spotify. Check its internet connection."],
+    };
+    const [title, detail] = problems[response?.status]
+        || ['Spotify check failed', response ? `Spotify answered with HTTP ${response.status}.` : 'The request did not complete.'];
+    return [{ status: 'fail', title, detail }];
+}
+
+/**
+ * Check that the plugin has a music folder with playable tracks
+ * @returns {Promise<DiagnosticResult[]>}
+ */
+async function checkMusicFolder() {
+    if (!settings.useMusicFolder) return [];
+    try {
+        const tracks = await loadFolderLibrary(true);
+        if (!tracks.length) {
+            return [{
+                status: 'warn',
+                title: 'Music folder is empty',
+                detail: 'No audio files (MP3, FLAC, Ogg, Opus, M4A, WAV, WebM) were found in the plugin\'s musicDir.',
+            }];
         }
+        return [{ status: 'ok', title: `Music folder: ${tracks.length} tracks` }];
+    } catch (err) {
+        return [{ status: 'fail', title: 'Music folder unavailable', detail: err.message }];
     }
 }
 
-function startPolling() {
-    if (pollingInterval) clearInterval(pollingInterval);
-    pollingInterval = setInterval(updatePlayerUI, 1000); // Poll every 1 second
-    updatePlayerUI();
+/**
+ * @param {DiagnosticResult} result
+ */
+function createDiagnosticRow({ status, title, detail }) {
+    const row = document.createElement('div');
+    row.className = `stp-diagnostic ${status}`;
+
+    const icon = document.createElement('i');
+    icon.className = `fa-solid ${DIAGNOSTIC_ICONS[status]}`;
+
+    const text = document.createElement('div');
+    const heading = document.createElement('div');
+    heading.className = 'stp-setting-label';
+    heading.textContent = title;
+    text.appendChild(heading);
+    if (detail) {
+        const description = document.createElement('p');
+        description.className = 'stp-setting-desc';
+        description.textContent = detail;
+        text.appendChild(description);
+    }
+
+    row.append(icon, text);
+    return row;
 }
 
-function stopPolling() {
-    if (pollingInterval) clearInterval(pollingInterval);
-    pollingInterval = null;
+async function runDiagnostics() {
+    const container = document.getElementById('spotify_diagnostics_results');
+    const button = /** @type {HTMLButtonElement} */ (document.getElementById('spotify_run_diagnostics_btn'));
+    if (!container || !button) return;
+
+    button.disabled = true;
+    container.textContent = 'Checking...';
+    try {
+        const results = [...await checkServerPlugin(), ...await checkMusicFolder(), ...await checkSpotifyLogin()];
+        container.innerHTML = '';
+        results.forEach(result => container.appendChild(createDiagnosticRow(result)));
+    } catch (err) {
+        console.error('Spotify diagnostics error:', err);
+        container.textContent = `The checks could not finish: ${err.message}`;
+    } finally {
+        button.disabled = false;
+    }
 }
 
 // =============================================================================
@@ -619,11 +4604,18 @@ function updateSettingsStatus() {
     const connectBtn = document.getElementById('spotify_connect_btn');
     const disconnectBtn = document.getElementById('spotify_disconnect_btn');
 
-    if (settings.accessToken && statusEl) {
-        statusEl.textContent = "Connected";
+    if (spotifySession.connected && statusEl) {
+        // Connections made before the library existed lack its scopes
+        const scopesMissing = !hasRequiredScopes();
+        statusEl.textContent = scopesMissing ? "Connected (reconnect to use the library)" : "Connected";
         statusEl.className = "spotify-status-connected";
-        if (connectBtn) connectBtn.style.display = 'none';
+        if (connectBtn) connectBtn.style.display = scopesMissing ? 'inline-block' : 'none';
         if (disconnectBtn) disconnectBtn.style.display = 'inline-block';
+    } else if (!spotifySession.available && statusEl) {
+        statusEl.textContent = "Server plugin not available";
+        statusEl.className = "spotify-status-disconnected";
+        if (connectBtn) connectBtn.style.display = 'none';
+        if (disconnectBtn) disconnectBtn.style.display = 'none';
     } else if (statusEl) {
         statusEl.textContent = "Disconnected";
         statusEl.className = "spotify-status-disconnected";
@@ -632,10 +4624,52 @@ function updateSettingsStatus() {
     }
 }
 
+/**
+ * @returns {'folder'|'mpris'|'spotify'}
+ */
+function getControlMode() {
+    if (settings.useMusicFolder) return 'folder';
+    return settings.useMpris ? 'mpris' : 'spotify';
+}
+
+/**
+ * Show the settings sections that belong to the control mode
+ */
+function updateModeSettingsVisibility() {
+    const mode = getControlMode();
+    $('#spotify_api_settings').toggle(mode === 'spotify');
+    $('#spotify_mpris_settings').toggle(mode === 'mpris');
+    $('#spotify_folder_settings').toggle(mode === 'folder');
+}
+
+/**
+ * Show how many tracks the music folder has
+ * @param {boolean} [refresh] - Make the plugin rescan the folder first
+ */
+async function updateFolderStatus(refresh = false) {
+    const status = $('#spotify_folder_status');
+    status.text(refresh ? 'Scanning...' : 'Loading...');
+    try {
+        const tracks = await loadFolderLibrary(refresh);
+        status.text(`${tracks.length} ${tracks.length === 1 ? 'track' : 'tracks'} found.`);
+    } catch (err) {
+        status.text(err.message);
+    }
+    if (isPanelViewOpen('library')) renderLibrary();
+}
+
 function onSettingsChanged() {
     settings.clientId = document.getElementById('spotify_client_id').value;
     settings.enablePanel = document.getElementById('spotify_enable_panel').checked;
+    settings.playerPriority = document.getElementById('spotify_player_priority').value
+        .split(',')
+        .map(name => name.trim())
+        .filter(name => name);
     saveSettings();
+    // The event stream is bound to the old target
+    if (eventStream) {
+        connectEventStream();
+    }
     updatePlayerUI();
 }
 
@@ -644,6 +4678,13 @@ jQuery(async () => {
     await checkAuthRedirect();
 
     await loadSettings();
+    await loadHistory();
+    await loadSpotifySession();
+    await migrateStoredTokens();
+    registerSlashCommands();
+    registerMacros();
+    registerMediaSessionHandlers();
+    window.STBasicSpotify = publicApi;
 
     // Load and inject settings.html into the Extensions settings panel
     const extensionFolderPath = 'scripts/extensions/third-party/ST-BasicSpotify';
@@ -654,20 +4695,44 @@ jQuery(async () => {
         // Now that settings are injected, populate the form values
         const clientIdInput = document.getElementById('spotify_client_id');
         const enablePanelInput = document.getElementById('spotify_enable_panel');
-        const useMprisInput = document.getElementById('spotify_use_mpris');
-        const apiSettingsPanel = document.getElementById('spotify_api_settings');
+        const playerPriorityInput = document.getElementById('spotify_player_priority');
 
         if (clientIdInput) clientIdInput.value = settings.clientId || '';
+        $('#spotify_redirect_uri').val(settings.redirectUri).attr('placeholder', window.location.origin + '/');
+        $('#spotify_callback_url').text(window.location.origin + AUTH_CALLBACK_PATH);
+        if (playerPriorityInput) playerPriorityInput.value = (settings.playerPriority || []).join(', ');
         if (enablePanelInput) enablePanelInput.checked = settings.enablePanel;
-        if (useMprisInput) useMprisInput.checked = settings.useMpris !== false; // Default to true
+        $('#spotify_enable_media_session').prop('checked', settings.enableMediaSession);
+        $('#spotify_panel_theme').val(settings.panelTheme);
+        $('#spotify_layout_mode').val(panelLayout.mode);
+        $('#spotify_control_mode').val(getControlMode());
 
-        // Toggle API settings visibility based on mode
-        function updateApiSettingsVisibility() {
-            if (apiSettingsPanel) {
-                apiSettingsPanel.style.display = settings.useMpris ? 'none' : 'block';
-            }
+        $('#spotify_enable_soundtracks').prop('checked', settings.enableSoundtracks);
+        $('#spotify_restore_after_soundtrack').prop('checked', settings.restoreAfterSoundtrack);
+        renderSoundtrackSettings();
+
+        $('#spotify_fade_on_play_pause').prop('checked', settings.fadeOnPlayPause);
+        $('#spotify_fade_seconds').val(settings.fadeSeconds);
+        $('#spotify_duck_mode').val(settings.duckMode);
+        $('#spotify_duck_volume').val(settings.duckVolume);
+        $('#spotify_duck_on_generation').prop('checked', settings.duckOnGeneration);
+        $('#spotify_duck_on_tts').prop('checked', settings.duckOnTts);
+
+        $('#spotify_enable_history').prop('checked', settings.enableHistory);
+        $('#spotify_history_limit').val(settings.historyLimit);
+
+        $('#spotify_inject_prompt').prop('checked', settings.injectPrompt);
+        $('#spotify_prompt_template').val(settings.promptTemplate);
+        $('#spotify_prompt_depth').val(settings.promptDepth);
+        $('#spotify_prompt_role').val(String(settings.promptRole));
+
+        updateModeSettingsVisibility();
+
+        if (settings.useMpris) {
+            refreshPlayerPickers();
+        } else if (settings.useMusicFolder) {
+            updateFolderStatus();
         }
-        updateApiSettingsVisibility();
 
         updateSettingsStatus();
     } catch (err) {
@@ -675,29 +4740,128 @@ jQuery(async () => {
     }
 
     $(document).on('click', '#spotify_connect_btn', initiateAuth);
-    $(document).on('click', '#spotify_disconnect_btn', () => {
-        settings.accessToken = "";
-        settings.refreshToken = "";
-        settings.tokenExpiry = 0;
-        saveSettings();
-        updateSettingsStatus();
+    $(document).on('click', '#spotify_run_diagnostics_btn', runDiagnostics);
+    $(document).on('click', '#spotify_disconnect_btn', async () => {
+        try {
+            await postSpotifySession('logout');
+        } catch (err) {
+            console.error('Spotify logout error:', err);
+            toastr.error('Could not disconnect from Spotify.');
+            return;
+        }
         stopPolling();
         removePlayerPanel();
         toastr.info("Disconnected from Spotify.");
     });
 
     $(document).on('change', '#spotify_client_id', onSettingsChanged);
+    $(document).on('change', '#spotify_redirect_uri', function () {
+        settings.redirectUri = String($(this).val()).trim();
+        saveSettings();
+    });
+    $(document).on('click', '#spotify_auth_result_btn', async () => {
+        const input = $('#spotify_auth_result_url');
+        await completeAuthFromUrl(String(input.val()));
+        input.val('');
+    });
     $(document).on('change', '#spotify_enable_panel', onSettingsChanged);
+    $(document).on('change', '#spotify_layout_mode', function () {
+        setLayoutMode(/** @type {'full'|'compact'|'mini'} */ (String($(this).val())));
+    });
+    $(document).on('click', '#spotify_reset_layout_btn', resetPanelLayout);
+    // Keep the panel on screen and switch to the phone layout when the window changes
+    window.addEventListener('resize', applyPanelLayout);
+    $(document).on('change', '#spotify_panel_theme', function () {
+        settings.panelTheme = String($(this).val());
+        saveSettings();
+        applyPanelTheme();
+    });
+    $(document).on('change', '#spotify_enable_media_session', function () {
+        settings.enableMediaSession = this.checked;
+        saveSettings();
+        registerMediaSessionHandlers();
+        updateMediaSession(lastPlayerState);
+    });
+    $(document).on('change', '#spotify_player_priority', onSettingsChanged);
+    $(document).on('change', '#spotify_preferred_player', function () {
+        setPreferredPlayer(this.value);
+    });
+    $(document).on('click', '#spotify_refresh_players_btn', refreshPlayerPickers);
+    $(document).on('change', '#spotify_enable_soundtracks, #spotify_restore_after_soundtrack', () => {
+        settings.enableSoundtracks = $('#spotify_enable_soundtracks').prop('checked');
+        settings.restoreAfterSoundtrack = $('#spotify_restore_after_soundtrack').prop('checked');
+        saveSettings();
+    });
+    $(document).on('click', '.spotify-soundtrack-save', function () {
+        saveSoundtrack(this.dataset.scope);
+    });
+    $(document).on('click', '.spotify-soundtrack-clear', function () {
+        clearSoundtrack(this.dataset.scope);
+    });
+    $(document).on('click', '.spotify-soundtrack-current', function () {
+        useCurrentAsSoundtrack(this.dataset.scope);
+    });
+    eventSource.on(event_types.CHAT_CHANGED, onChatChangedSoundtrack);
+
+    $(document).on('change', '#spotify_fade_on_play_pause, #spotify_fade_seconds', () => {
+        settings.fadeOnPlayPause = $('#spotify_fade_on_play_pause').prop('checked');
+        const fadeSeconds = parseFloat(String($('#spotify_fade_seconds').val()));
+        settings.fadeSeconds = Number.isNaN(fadeSeconds) ? defaultSettings.fadeSeconds : Math.min(30, Math.max(0.5, fadeSeconds));
+        $('#spotify_fade_seconds').val(settings.fadeSeconds);
+        saveSettings();
+    });
+    $(document).on('change', '#spotify_duck_mode, #spotify_duck_volume, #spotify_duck_on_generation, #spotify_duck_on_tts', () => {
+        settings.duckMode = String($('#spotify_duck_mode').val());
+        const duckVolume = parseInt(String($('#spotify_duck_volume').val()), 10);
+        settings.duckVolume = Number.isNaN(duckVolume) ? defaultSettings.duckVolume : Math.min(100, Math.max(0, duckVolume));
+        $('#spotify_duck_volume').val(settings.duckVolume);
+        settings.duckOnGeneration = $('#spotify_duck_on_generation').prop('checked');
+        settings.duckOnTts = $('#spotify_duck_on_tts').prop('checked');
+        saveSettings();
+        releaseDucking();
+    });
+    registerDuckingListeners();
+
+    $(document).on('change', '#spotify_enable_history, #spotify_history_limit', () => {
+        settings.enableHistory = $('#spotify_enable_history').prop('checked');
+        settings.historyLimit = Math.max(1, parseInt(String($('#spotify_history_limit').val()), 10) || defaultSettings.historyLimit);
+        $('#spotify_history_limit').val(settings.historyLimit);
+        saveSettings();
+        if (listeningHistory.length > settings.historyLimit) {
+            trimHistory();
+            saveHistory();
+        }
+    });
+    $(document).on('click', '#spotify_clear_history_btn', clearHistory);
+    // "This chat" history follows the open chat
+    eventSource.on(event_types.CHAT_CHANGED, () => {
+        if (isPanelViewOpen('history')) renderHistory();
+    });
 
-    // Handler for MPRIS toggle
-    $(document).on('change', '#spotify_use_mpris', function () {
-        settings.useMpris = this.checked;
+    $(document).on('change', '#spotify_inject_prompt, #spotify_prompt_template, #spotify_prompt_depth, #spotify_prompt_role', onPromptSettingsChanged);
+
+    $(document).on('click', '#spotify_folder_rescan_btn', () => updateFolderStatus(true));
+
+    // Handler for the control mode
+    $(document).on('change', '#spotify_control_mode', function () {
+        const mode = String($(this).val());
+        // Leaving music folder mode: the audio element would keep playing
+        if (settings.useMusicFolder && mode !== 'folder') stopFolderPlayer();
+        // A ducked volume belongs to the old player
+        forgetDuck();
+        settings.useMusicFolder = mode === 'folder';
+        settings.useMpris = mode === 'mpris';
         saveSettings();
 
-        // Toggle API settings visibility
-        const apiSettingsPanel = document.getElementById('spotify_api_settings');
-        if (apiSettingsPanel) {
-            apiSettingsPanel.style.display = settings.useMpris ? 'none' : 'block';
+        updateModeSettingsVisibility();
+        applyReadOnly();
+        if (settings.useMpris) {
+            refreshPlayerPickers();
+            checkMprisAccess();
+        } else if (settings.useMusicFolder) {
+            updateFolderStatus();
+        } else {
+            promptForMissingScopes();
         }
 
         // Restart polling with new mode
@@ -712,10 +4876,15 @@ jQuery(async () => {
         createPlayerPanel();
     }
 
-    // Start polling - works for both MPRIS and Spotify API
-    if (settings.useMpris || settings.accessToken) {
+    // A sleep timer from before the reload keeps running
+    resumeSleepTimer();
+    if (settings.useMpris) checkMprisAccess();
+
+    // Start polling - works for MPRIS, the music folder and Spotify API
+    if (settings.useMpris || settings.useMusicFolder || spotifySession.connected) {
         startPolling();
     }
+    promptForMissingScopes();
 
     // Attempt to add menu button with retries
     let retryCount = 0;
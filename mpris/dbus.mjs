@@ -0,0 +1,640 @@
+/**
+ * Minimal D-Bus client for the MPRIS plugin
+ * Speaks the D-Bus wire protocol over the session bus socket, so no native
+ * modules or external binaries are needed. Supports method calls, replies,
+ * errors and signals; it does not export objects of its own.
+ */
+
+import net from 'node:net';
+import os from 'node:os';
+import { EventEmitter } from 'node:events';
+
+const MESSAGE_TYPE = { METHOD_CALL: 1, METHOD_RETURN: 2, ERROR: 3, SIGNAL: 4 };
+const FLAG_NO_REPLY_EXPECTED = 0x1;
+const HEADER_FIELD = { PATH: 1, INTERFACE: 2, MEMBER: 3, ERROR_NAME: 4, REPLY_SERIAL: 5, DESTINATION: 6, SENDER: 7, SIGNATURE: 8 };
+const MAX_MESSAGE_SIZE = 128 * 1024 * 1024;
+const DEFAULT_CALL_TIMEOUT_MS = 5000;
+
+const ALIGNMENT = { y: 1, b: 4, n: 2, q: 2, i: 4, u: 4, x: 8, t: 8, d: 8, h: 4, s: 4, o: 4, g: 1, a: 4, '(': 8, '{': 8, v: 1 };
+
+/**
+ * Error returned by a remote D-Bus method
+ */
+export class DBusError extends Error {
+    /**
+     * @param {string} name - D-Bus error name (e.g. org.freedesktop.DBus.Error.ServiceUnknown)
+     * @param {string} [message] - Error description sent by the remote side
+     */
+    constructor(name, message) {
+        super(message || name);
+        this.name = 'DBusError';
+        this.type = name;
+    }
+}
+
+// =============================================================================
+// SIGNATURES
+// =============================================================================
+
+/**
+ * Parse a D-Bus signature into a list of type nodes
+ * @param {string} signature - e.g. "sa{sv}"
+ * @returns {object[]} Type nodes ({ code, child } for arrays, { code, children } for structs/dict entries)
+ */
+export function parseSignature(signature) {
+    const types = [];
+    let index = 0;
+
+    function parseOne() {
+        const code = signature[index++];
+        if (code === 'a') {
+            return { code, child: parseOne() };
+        }
+        if (code === '(' || code === '{') {
+            const close = code === '(' ? ')' : '}';
+            const children = [];
+            while (signature[index] !== close) {
+                if (index >= signature.length) throw new Error(`Unterminated signature: ${signature}`);
+                children.push(parseOne());
+            }
+            index++;
+            return { code, children };
+        }
+        if (!(code in ALIGNMENT)) {
+            throw new Error(`Unsupported type '${code}' in signature: ${signature}`);
+        }
+        return { code };
+    }
+
+    while (index < signature.length) {
+        types.push(parseOne());
+    }
+    return types;
+}
+
+/**
+ * Guess a signature for a JavaScript value, used when writing variants given without one
+ */
+function guessSignature(value) {
+    switch (typeof value) {
+        case 'boolean': return 'b';
+        case 'string': return 's';
+        case 'bigint': return 'x';
+        case 'number': return Number.isInteger(value) ? 'i' : 'd';
+        default: throw new Error(`Cannot infer a D-Bus type for ${typeof value}; pass [signature, value]`);
+    }
+}
+
+// =============================================================================
+// MARSHALLING
+// =============================================================================
+
+export class Writer {
+    constructor() {
+        this.buffer = Buffer.alloc(256);
+        this.length = 0;
+    }
+
+    ensure(size) {
+        if (this.length + size <= this.buffer.length) return;
+        const next = Buffer.alloc(Math.max(this.buffer.length * 2, this.length + size));
+        this.buffer.copy(next, 0, 0, this.length);
+        this.buffer = next;
+    }
+
+    align(boundary) {
+        const padding = (boundary - (this.length % boundary)) % boundary;
+        this.ensure(padding);
+        this.buffer.fill(0, this.length, this.length + padding);
+        this.length += padding;
+    }
+
+    writeUInt8(value) {
+        this.ensure(1);
+        this.buffer.writeUInt8(value, this.length);
+        this.length += 1;
+    }
+
+    writeUInt32(value) {
+        this.align(4);
+        this.ensure(4);
+        this.buffer.writeUInt32LE(value, this.length);
+        this.length += 4;
+    }
+
+    writeString(value, lengthBytes) {
+        const bytes = Buffer.from(value, 'utf8');
+        if (lengthBytes === 1) {
+            this.writeUInt8(bytes.length);
+        } else {
+            this.writeUInt32(bytes.length);
+        }
+        this.ensure(bytes.length + 1);
+        bytes.copy(this.buffer, this.length);
+        this.buffer.writeUInt8(0, this.length + bytes.length);
+        this.length += bytes.length + 1;
+    }
+
+    write(type, value) {
+        this.align(ALIGNMENT[type.code]);
+        switch (type.code) {
+            case 'y':
+                this.writeUInt8(value);
+                break;
+            case 'b':
+                this.writeUInt32(value ? 1 : 0);
+                break;
+            case 'n':
+                this.ensure(2);
+                this.buffer.writeInt16LE(value, this.length);
+                this.length += 2;
+                break;
+            case 'q':
+                this.ensure(2);
+                this.buffer.writeUInt16LE(value, this.length);
+                this.length += 2;
+                break;
+            case 'i':
+                this.ensure(4);
+                this.buffer.writeInt32LE(value, this.length);
+                this.length += 4;
+                break;
+            case 'u':
+            case 'h':
+                this.writeUInt32(value);
+                break;
+            case 'x':
+                this.ensure(8);
+                this.buffer.writeBigInt64LE(BigInt(Math.trunc(Number(value))), this.length);
+                this.length += 8;
+                break;
+            case 't':
+                this.ensure(8);
+                this.buffer.writeBigUInt64LE(BigInt(Math.trunc(Number(value))), this.length);
+                this.length += 8;
+                break;
+            case 'd':
+                this.ensure(8);
+                this.buffer.writeDoubleLE(value, this.length);
+                this.length += 8;
+                break;
+            case 's':
+            case 'o':
+                this.writeString(String(value), 4);
+                break;
+            case 'g':
+                this.writeString(String(value), 1);
+                break;
+            case 'v': {
+                const [signature, inner] = Array.isArray(value) ? value : [guessSignature(value), value];
+                this.writeString(signature, 1);
+                this.write(parseSignature(signature)[0], inner);
+                break;
+            }
+            case '(':
+                type.children.forEach((child, i) => this.write(child, value[i]));
+                break;
+            case 'a': {
+                this.writeUInt32(0);
+                const lengthOffset = this.length - 4;
+                this.align(ALIGNMENT[type.child.code]);
+                const start = this.length;
+
+                if (type.child.code === '{') {
+                    const entries = value instanceof Map ? [...value.entries()] : Object.entries(value || {});
+                    for (const [key, entryValue] of entries) {
+                        this.align(8);
+                        this.write(type.child.children[0], key);
+                        this.write(type.child.children[1], entryValue);
+                    }
+                } else {
+                    for (const item of value || []) {
+                        this.write(type.child, item);
+                    }
+                }
+
+                this.buffer.writeUInt32LE(this.length - start, lengthOffset);
+                break;
+            }
+            default:
+                throw new Error(`Cannot write type '${type.code}'`);
+        }
+    }
+
+    toBuffer() {
+        return this.buffer.subarray(0, this.length);
+    }
+}
+
+export class Reader {
+    /**
+     * @param {Buffer} buffer - Data to read
+     * @param {boolean} littleEndian - Byte order from the message header
+     */
+    constructor(buffer, littleEndian) {
+        this.buffer = buffer;
+        this.littleEndian = littleEndian;
+        this.offset = 0;
+    }
+
+    align(boundary) {
+        this.offset += (boundary - (this.offset % boundary)) % boundary;
+    }
+
+    readUInt32() {
+        this.align(4);
+        const value = this.littleEndian ? this.buffer.readUInt32LE(this.offset) : this.buffer.readUInt32BE(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    readString(lengthBytes) {
+        const length = lengthBytes === 1 ? this.buffer.readUInt8(this.offset++) : this.readUInt32();
+        const value = this.buffer.toString('utf8', this.offset, this.offset + length);
+        this.offset += length + 1;
+        return value;
+    }
+
+    read(type) {
+        this.align(ALIGNMENT[type.code]);
+        const le = this.littleEndian;
+        let value;
+        switch (type.code) {
+            case 'y':
+                return this.buffer.readUInt8(this.offset++);
+            case 'b':
+                return this.readUInt32() !== 0;
+            case 'n':
+                value = le ? this.buffer.readInt16LE(this.offset) : this.buffer.readInt16BE(this.offset);
+                this.offset += 2;
+                return value;
+            case 'q':
+                value = le ? this.buffer.readUInt16LE(this.offset) : this.buffer.readUInt16BE(this.offset);
+                this.offset += 2;
+                return value;
+            case 'i':
+                value = le ? this.buffer.readInt32LE(this.offset) : this.buffer.readInt32BE(this.offset);
+                this.offset += 4;
+                return value;
+            case 'u':
+            case 'h':
+                return this.readUInt32();
+            case 'x':
+                // MPRIS positions and lengths (microseconds) fit comfortably in a double
+                value = le ? this.buffer.readBigInt64LE(this.offset) : this.buffer.readBigInt64BE(this.offset);
+                this.offset += 8;
+                return Number(value);
+            case 't':
+                value = le ? this.buffer.readBigUInt64LE(this.offset) : this.buffer.readBigUInt64BE(this.offset);
+                this.offset += 8;
+                return Number(value);
+            case 'd':
+                value = le ? this.buffer.readDoubleLE(this.offset) : this.buffer.readDoubleBE(this.offset);
+                this.offset += 8;
+                return value;
+            case 's':
+            case 'o':
+                return this.readString(4);
+            case 'g':
+                return this.readString(1);
+            case 'v': {
+                // Variants are unwrapped to their plain value
+                const signature = this.readString(1);
+                return this.read(parseSignature(signature)[0]);
+            }
+            case '(':
+                return type.children.map(child => this.read(child));
+            case 'a': {
+                const length = this.readUInt32();
+                this.align(ALIGNMENT[type.child.code]);
+                const end = this.offset + length;
+
+                if (type.child.code === '{') {
+                    const result = {};
+                    while (this.offset < end) {
+                        this.align(8);
+                        const key = this.read(type.child.children[0]);
+                        result[key] = this.read(type.child.children[1]);
+                    }
+                    return result;
+                }
+
+                const items = [];
+                while (this.offset < end) {
+                    items.push(this.read(type.child));
+                }
+                return items;
+            }
+            default:
+                throw new Error(`Cannot read type '${type.code}'`);
+        }
+    }
+}
+
+/**
+ * Encode a message for the wire (always little-endian)
+ */
+export function encodeMessage({ type, flags = 0, serial, path, interface: iface, member, destination, errorName, replySerial, signature = '', body = [] }) {
+    const bodyWriter = new Writer();
+    parseSignature(signature).forEach((bodyType, i) => bodyWriter.write(bodyType, body[i]));
+    const bodyBuffer = bodyWriter.toBuffer();
+
+    const fields = [];
+    if (path) fields.push([HEADER_FIELD.PATH, ['o', path]]);
+    if (iface) fields.push([HEADER_FIELD.INTERFACE, ['s', iface]]);
+    if (member) fields.push([HEADER_FIELD.MEMBER, ['s', member]]);
+    if (errorName) fields.push([HEADER_FIELD.ERROR_NAME, ['s', errorName]]);
+    if (replySerial) fields.push([HEADER_FIELD.REPLY_SERIAL, ['u', replySerial]]);
+    if (destination) fields.push([HEADER_FIELD.DESTINATION, ['s', destination]]);
+    if (signature) fields.push([HEADER_FIELD.SIGNATURE, ['g', signature]]);
+
+    const headerWriter = new Writer();
+    const headerTypes = parseSignature('yyyyuua(yv)');
+    const headerValues = ['l'.charCodeAt(0), type, flags, 1, bodyBuffer.length, serial, fields];
+    headerTypes.forEach((headerType, i) => headerWriter.write(headerType, headerValues[i]));
+    headerWriter.align(8);
+
+    return Buffer.concat([headerWriter.toBuffer(), bodyBuffer]);
+}
+
+/**
+ * Total size of the message at the start of `buffer`, or 0 if more data is needed
+ */
+function messageSize(buffer) {
+    if (buffer.length < 16) return 0;
+    const littleEndian = buffer[0] === 0x6c; // 'l'
+    const bodyLength = littleEndian ? buffer.readUInt32LE(4) : buffer.readUInt32BE(4);
+    const fieldsLength = littleEndian ? buffer.readUInt32LE(12) : buffer.readUInt32BE(12);
+    const headerLength = 16 + fieldsLength + ((8 - ((16 + fieldsLength) % 8)) % 8);
+    return headerLength + bodyLength;
+}
+
+/**
+ * Decode one complete message
+ */
+export function decodeMessage(buffer) {
+    const littleEndian = buffer[0] === 0x6c;
+    const reader = new Reader(buffer, littleEndian);
+    const [, type, flags, , bodyLength, serial, fieldList] = parseSignature('yyyyuua(yv)').map(t => reader.read(t));
+    reader.align(8);
+
+    const fields = {};
+    for (const [code, value] of fieldList) {
+        fields[code] = value;
+    }
+
+    const signature = fields[HEADER_FIELD.SIGNATURE] || '';
+    const bodyReader = new Reader(buffer.subarray(reader.offset, reader.offset + bodyLength), littleEndian);
+    const body = parseSignature(signature).map(t => bodyReader.read(t));
+
+    return {
+        type,
+        flags,
+        serial,
+        path: fields[HEADER_FIELD.PATH],
+        interface: fields[HEADER_FIELD.INTERFACE],
+        member: fields[HEADER_FIELD.MEMBER],
+        errorName: fields[HEADER_FIELD.ERROR_NAME],
+        replySerial: fields[HEADER_FIELD.REPLY_SERIAL],
+        destination: fields[HEADER_FIELD.DESTINATION],
+        sender: fields[HEADER_FIELD.SENDER],
+        signature,
+        body,
+    };
+}
+
+// =============================================================================
+// CONNECTION
+// =============================================================================
+
+/**
+ * Resolve the socket path of the session bus
+ * @returns {string|null} Socket path (abstract sockets are prefixed with a NUL byte), or null if unknown
+ */
+export function getSessionBusPath() {
+    const address = process.env.DBUS_SESSION_BUS_ADDRESS;
+    if (address) {
+        // Several addresses may be listed; use the first unix one
+        for (const entry of address.split(';')) {
+            // Values may contain ':' themselves, so only the first one ends the transport name
+            const colon = entry.indexOf(':');
+            if (colon === -1 || entry.slice(0, colon) !== 'unix') continue;
+            const params = entry.slice(colon + 1);
+            const options = Object.fromEntries(params.split(',').map(pair => {
+                const [key, ...rest] = pair.split('=');
+                return [key, decodeURIComponent(rest.join('='))];
+            }));
+            if (options.path) return options.path;
+            if (options.abstract) return `\0${options.abstract}`;
+        }
+        return null;
+    }
+
+    const runtimeDir = process.env.XDG_RUNTIME_DIR || (typeof process.getuid === 'function' ? `/run/user/${process.getuid()}` : null);
+    return runtimeDir ? `${runtimeDir}/bus` : null;
+}
+
+/**
+ * A connection to a message bus.
+ * Emits 'signal' with each decoded signal message and 'close' when the socket ends.
+ */
+export class DBusConnection extends EventEmitter {
+    constructor() {
+        super();
+        this.socket = null;
+        this.serial = 1;
+        this.pending = new Map();
+        this.buffer = Buffer.alloc(0);
+        this.uniqueName = null;
+        this.connected = false;
+    }
+
+    /**
+     * Connect and authenticate to a bus
+     * @param {string|null} [socketPath] - Defaults to the session bus
+     * @param {number} [timeoutMs] - Give up after this long
+     */
+    async connect(socketPath = getSessionBusPath(), timeoutMs = DEFAULT_CALL_TIMEOUT_MS) {
+        if (!socketPath) {
+            throw new Error('No D-Bus session bus address found (DBUS_SESSION_BUS_ADDRESS is not set)');
+        }
+
+        const socket = net.createConnection(socketPath);
+        this.socket = socket;
+
+        await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => fail(new Error('Timed out connecting to D-Bus')), timeoutMs);
+            let handshake = '';
+
+            function fail(error) {
+                clearTimeout(timeout);
+                socket.removeAllListeners('data');
+                socket.destroy();
+                reject(error);
+            }
+
+            socket.once('error', fail);
+            socket.once('connect', () => {
+                const uid = typeof process.getuid === 'function' ? process.getuid() : os.userInfo().uid;
+                const hexUid = Buffer.from(String(uid), 'ascii').toString('hex');
+                socket.write(`\0AUTH EXTERNAL ${hexUid}\r\n`);
+            });
+            socket.on('data', (chunk) => {
+                handshake += chunk.toString('ascii');
+                if (!handshake.includes('\r\n')) return;
+
+                if (handshake.startsWith('OK ')) {
+                    clearTimeout(timeout);
+                    socket.removeAllListeners('data');
+                    socket.removeListener('error', fail);
+                    socket.write('BEGIN\r\n');
+                    resolve();
+                } else {
+                    fail(new Error(`D-Bus authentication rejected: ${handshake.trim()}`));
+                }
+            });
+        });
+
+        socket.on('data', chunk => this.onData(chunk));
+        socket.on('error', error => this.shutdown(error));
+        socket.on('close', () => this.shutdown(new Error('D-Bus connection closed')));
+        this.connected = true;
+
+        try {
+            [this.uniqueName] = await this.call({
+                destination: 'org.freedesktop.DBus',
+                path: '/org/freedesktop/DBus',
+                interface: 'org.freedesktop.DBus',
+                member: 'Hello',
+            });
+        } catch (error) {
+            // Nobody holds this connection yet, so close the socket here
+            this.shutdown(error);
+            throw error;
+        }
+        return this;
+    }
+
+    onData(chunk) {
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+        while (true) {
+            const size = messageSize(this.buffer);
+            if (size > MAX_MESSAGE_SIZE) {
+                this.socket.destroy(new Error('D-Bus message too large'));
+                return;
+            }
+            if (!size || this.buffer.length < size) return;
+
+            const raw = this.buffer.subarray(0, size);
+            this.buffer = this.buffer.subarray(size);
+
+            let message;
+            try {
+                message = decodeMessage(raw);
+            } catch (error) {
+                console.error('[MPRIS] Could not decode D-Bus message:', error.message);
+                continue;
+            }
+            this.dispatch(message);
+        }
+    }
+
+    dispatch(message) {
+        switch (message.type) {
+            case MESSAGE_TYPE.METHOD_RETURN:
+            case MESSAGE_TYPE.ERROR: {
+                const pending = this.pending.get(message.replySerial);
+                if (!pending) return;
+                this.pending.delete(message.replySerial);
+                clearTimeout(pending.timeout);
+                if (message.type === MESSAGE_TYPE.ERROR) {
+                    pending.reject(new DBusError(message.errorName, typeof message.body[0] === 'string' ? message.body[0] : undefined));
+                } else {
+                    pending.resolve(message.body);
+                }
+                return;
+            }
+            case MESSAGE_TYPE.SIGNAL:
+                this.emit('signal', message);
+                return;
+            case MESSAGE_TYPE.METHOD_CALL:
+                // We export nothing; answer so callers don't wait for a timeout
+                if (!(message.flags & FLAG_NO_REPLY_EXPECTED)) {
+                    this.send({
+                        type: MESSAGE_TYPE.ERROR,
+                        destination: message.sender,
+                        replySerial: message.serial,
+                        errorName: 'org.freedesktop.DBus.Error.UnknownMethod',
+                        signature: 's',
+                        body: [`No such method ${message.member}`],
+                    });
+                }
+                return;
+        }
+    }
+
+    send(message) {
+        const serial = this.serial++;
+        this.socket.write(encodeMessage({ ...message, serial }));
+        return serial;
+    }
+
+    /**
+     * Call a method and wait for its reply
+     * @param {object} options
+     * @param {string} options.destination - Bus name
+     * @param {string} options.path - Object path
+     * @param {string} options.interface - Interface name
+     * @param {string} options.member - Method name
+     * @param {string} [options.signature] - Body signature
+     * @param {any[]} [options.body] - Arguments
+     * @param {number} [options.timeoutMs] - Reply timeout
+     * @returns {Promise<any[]>} Reply body
+     */
+    call({ timeoutMs = DEFAULT_CALL_TIMEOUT_MS, ...message }) {
+        if (!this.connected && message.member !== 'Hello') {
+            return Promise.reject(new Error('D-Bus connection is closed'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const serial = this.send({ ...message, type: MESSAGE_TYPE.METHOD_CALL });
+            const timeout = setTimeout(() => {
+                this.pending.delete(serial);
+                reject(new DBusError('org.freedesktop.DBus.Error.NoReply', `No reply to ${message.member} within ${timeoutMs}ms`));
+            }, timeoutMs);
+            this.pending.set(serial, { resolve, reject, timeout });
+        });
+    }
+
+    /**
+     * Subscribe to signals matching a rule
+     * @param {string} rule - Match rule, e.g. "type='signal',interface='org.freedesktop.DBus.Properties'"
+     */
+    addMatch(rule) {
+        return this.call({
+            destination: 'org.freedesktop.DBus',
+            path: '/org/freedesktop/DBus',
+            interface: 'org.freedesktop.DBus',
+            member: 'AddMatch',
+            signature: 's',
+            body: [rule],
+        });
+    }
+
+    shutdown(error) {
+        if (!this.connected) return;
+        this.connected = false;
+        for (const pending of this.pending.values()) {
+            clearTimeout(pending.timeout);
+            pending.reject(error);
+        }
+        this.pending.clear();
+        this.socket?.destroy();
+        this.emit('close', error);
+    }
+
+    close() {
+        this.shutdown(new Error('D-Bus connection closed'));
+    }
+}
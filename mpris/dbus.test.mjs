@@ -0,0 +1,251 @@
+/**
+ * Tests for the D-Bus marshalling and bus address parsing
+ * Run with: node --test mpris/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { once } from 'node:events';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { Writer, Reader, parseSignature, encodeMessage, decodeMessage, getSessionBusPath, DBusConnection, DBusError } from './dbus.mjs';
+
+const HAS_DBUS_DAEMON = !spawnSync('dbus-daemon', ['--version']).error;
+const FAKE_PLAYER = 'org.mpris.MediaPlayer2.fake';
+const MPRIS_PATH = '/org/mpris/MediaPlayer2';
+const PLAYER_INTERFACE = 'org.mpris.MediaPlayer2.Player';
+const PROPERTIES_INTERFACE = 'org.freedesktop.DBus.Properties';
+
+/**
+ * Write values with a signature and read them back
+ */
+function roundTrip(signature, values) {
+    const writer = new Writer();
+    const types = parseSignature(signature);
+    types.forEach((type, i) => writer.write(type, values[i]));
+    const reader = new Reader(writer.toBuffer(), true);
+    return types.map(type => reader.read(type));
+}
+
+/**
+ * Call getSessionBusPath with a given DBUS_SESSION_BUS_ADDRESS
+ */
+function busPathFor(address) {
+    const saved = process.env.DBUS_SESSION_BUS_ADDRESS;
+    process.env.DBUS_SESSION_BUS_ADDRESS = address;
+    try {
+        return getSessionBusPath();
+    } finally {
+        if (saved === undefined) {
+            delete process.env.DBUS_SESSION_BUS_ADDRESS;
+        } else {
+            process.env.DBUS_SESSION_BUS_ADDRESS = saved;
+        }
+    }
+}
+
+/**
+ * Start a dbus-daemon of our own, listening on a socket in a temporary directory
+ * @returns {Promise<{socketPath: string, stop: () => void}>}
+ */
+async function startPrivateBus() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mpris-dbus-test-'));
+    const socketPath = path.join(dir, 'bus');
+    const daemon = spawn('dbus-daemon', ['--session', '--nofork', '--print-address=1', `--address=unix:path=${socketPath}`], {
+        stdio: ['ignore', 'pipe', 'ignore'],
+    });
+    // The address is printed once the bus accepts connections
+    await once(daemon.stdout, 'data');
+    return {
+        socketPath,
+        stop() {
+            daemon.kill();
+            fs.rmSync(dir, { recursive: true, force: true });
+        },
+    };
+}
+
+/**
+ * A player on the bus that answers the few MPRIS calls the tests make.
+ * The client exports no objects, so the replies are sent by hand.
+ */
+class FakePlayer extends DBusConnection {
+    status = 'Paused';
+
+    dispatch(message) {
+        // Only method calls (type 1) are ours to answer
+        if (message.type !== 1 || message.destination !== FAKE_PLAYER) return super.dispatch(message);
+
+        const reply = (signature, body) => this.send({ type: 2, destination: message.sender, replySerial: message.serial, signature, body });
+        if (message.interface === PROPERTIES_INTERFACE && message.member === 'GetAll') {
+            return reply('a{sv}', [{
+                PlaybackStatus: ['s', this.status],
+                Volume: ['d', 0.5],
+                Metadata: ['a{sv}', { 'xesam:title': ['s', 'Song'], 'xesam:artist': ['as', ['Artist']], 'mpris:length': ['x', 180000000] }],
+            }]);
+        }
+        if (message.interface === PLAYER_INTERFACE && message.member === 'PlayPause') {
+            this.status = this.status === 'Playing' ? 'Paused' : 'Playing';
+            reply('', []);
+            // Signals (type 4) go to everyone who subscribed
+            this.send({
+                type: 4,
+                path: MPRIS_PATH,
+                interface: PROPERTIES_INTERFACE,
+                member: 'PropertiesChanged',
+                signature: 'sa{sv}as',
+                body: [PLAYER_INTERFACE, { PlaybackStatus: ['s', this.status] }, []],
+            });
+            return;
+        }
+        this.send({
+            type: 3,
+            destination: message.sender,
+            replySerial: message.serial,
+            errorName: 'org.freedesktop.DBus.Error.UnknownMethod',
+            signature: 's',
+            body: [`No such method ${message.member}`],
+        });
+    }
+}
+
+test('client talks to a fake MPRIS player on a private bus', { skip: !HAS_DBUS_DAEMON && 'dbus-daemon is not installed' }, async (t) => {
+    const bus = await startPrivateBus();
+    t.after(() => bus.stop());
+
+    const player = await new FakePlayer().connect(bus.socketPath);
+    t.after(() => player.close());
+    const [owned] = await player.call({
+        destination: 'org.freedesktop.DBus',
+        path: '/org/freedesktop/DBus',
+        interface: 'org.freedesktop.DBus',
+        member: 'RequestName',
+        signature: 'su',
+        body: [FAKE_PLAYER, 0],
+    });
+    assert.equal(owned, 1); // DBUS_REQUEST_NAME_REPLY_PRIMARY_OWNER
+
+    const client = await new DBusConnection().connect(bus.socketPath);
+    t.after(() => client.close());
+    assert.match(client.uniqueName, /^:/);
+
+    const [names] = await client.call({ destination: 'org.freedesktop.DBus', path: '/org/freedesktop/DBus', interface: 'org.freedesktop.DBus', member: 'ListNames' });
+    assert.ok(names.includes(FAKE_PLAYER));
+
+    const [properties] = await client.call({
+        destination: FAKE_PLAYER,
+        path: MPRIS_PATH,
+        interface: PROPERTIES_INTERFACE,
+        member: 'GetAll',
+        signature: 's',
+        body: [PLAYER_INTERFACE],
+    });
+    assert.deepEqual(properties, {
+        PlaybackStatus: 'Paused',
+        Volume: 0.5,
+        Metadata: { 'xesam:title': 'Song', 'xesam:artist': ['Artist'], 'mpris:length': 180000000 },
+    });
+
+    await client.addMatch(`type='signal',interface='${PROPERTIES_INTERFACE}',path='${MPRIS_PATH}'`);
+    const signal = once(client, 'signal');
+    await client.call({ destination: FAKE_PLAYER, path: MPRIS_PATH, interface: PLAYER_INTERFACE, member: 'PlayPause' });
+    const [message] = await signal;
+    assert.equal(message.member, 'PropertiesChanged');
+    assert.deepEqual(message.body, [PLAYER_INTERFACE, { PlaybackStatus: 'Playing' }, []]);
+
+    await assert.rejects(
+        client.call({ destination: FAKE_PLAYER, path: MPRIS_PATH, interface: PLAYER_INTERFACE, member: 'Stop' }),
+        error => error instanceof DBusError && error.type === 'org.freedesktop.DBus.Error.UnknownMethod',
+    );
+});
+
+test('a failed Hello closes the socket', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mpris-dbus-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const socketPath = path.join(dir, 'bus');
+
+    // Accepts the login, then answers the Hello call with an error
+    const server = net.createServer((socket) => {
+        socket.once('data', () => socket.write('OK 0123456789abcdef\r\n'));
+        socket.on('data', (chunk) => {
+            const text = chunk.toString('latin1');
+            if (!text.includes('Hello')) return;
+            // BEGIN can arrive in the same chunk; the message starts at its 'l' byte order mark
+            const hello = decodeMessage(chunk.subarray(chunk.indexOf('l')));
+            socket.write(encodeMessage({
+                type: 3,
+                serial: 1,
+                replySerial: hello.serial,
+                errorName: 'org.freedesktop.DBus.Error.AccessDenied',
+                signature: 's',
+                body: ['Go away'],
+            }));
+        });
+    });
+    server.listen(socketPath);
+    await once(server, 'listening');
+    t.after(() => server.close());
+
+    const connection = new DBusConnection();
+    await assert.rejects(connection.connect(socketPath), { type: 'org.freedesktop.DBus.Error.AccessDenied' });
+    assert.equal(connection.connected, false);
+    assert.ok(connection.socket.destroyed);
+});
+
+test('basic types round-trip', () => {
+    const values = [7, true, -3, 65535, -123456, 4000000000, -9007199254740991, 9007199254740991, 0.25, 'héllo', '/org/mpris/MediaPlayer2', 'a{sv}'];
+    assert.deepEqual(roundTrip('ybnqiuxtdsog', values), values);
+});
+
+test('containers and variants round-trip', () => {
+    const metadata = { 'xesam:title': ['s', 'Song'], 'xesam:artist': ['as', ['A', 'B']], 'mpris:length': ['x', 180000000] };
+    const [dict, structs, empty] = roundTrip('a{sv}a(ys)ai', [metadata, [[1, 'one'], [2, 'two']], []]);
+    assert.deepEqual(dict, { 'xesam:title': 'Song', 'xesam:artist': ['A', 'B'], 'mpris:length': 180000000 });
+    assert.deepEqual(structs, [[1, 'one'], [2, 'two']]);
+    assert.deepEqual(empty, []);
+});
+
+test('variants without a signature are guessed', () => {
+    assert.deepEqual(roundTrip('vvv', [true, 'text', 0.5]), [true, 'text', 0.5]);
+});
+
+test('messages round-trip', () => {
+    const buffer = encodeMessage({
+        type: 1,
+        serial: 42,
+        path: '/org/mpris/MediaPlayer2',
+        interface: 'org.freedesktop.DBus.Properties',
+        member: 'Get',
+        destination: 'org.mpris.MediaPlayer2.vlc',
+        signature: 'ss',
+        body: ['org.mpris.MediaPlayer2.Player', 'Volume'],
+    });
+    const message = decodeMessage(buffer);
+    assert.equal(message.type, 1);
+    assert.equal(message.serial, 42);
+    assert.equal(message.path, '/org/mpris/MediaPlayer2');
+    assert.equal(message.interface, 'org.freedesktop.DBus.Properties');
+    assert.equal(message.member, 'Get');
+    assert.equal(message.destination, 'org.mpris.MediaPlayer2.vlc');
+    assert.equal(message.signature, 'ss');
+    assert.deepEqual(message.body, ['org.mpris.MediaPlayer2.Player', 'Volume']);
+});
+
+test('unix path addresses are parsed', () => {
+    assert.equal(busPathFor('unix:path=/run/user/1000/bus'), '/run/user/1000/bus');
+    assert.equal(busPathFor('unix:path=/tmp/dbus%20socket,guid=abc'), '/tmp/dbus socket');
+});
+
+test('colons in address values are kept', () => {
+    assert.equal(busPathFor('unix:path=/tmp/a:b:c'), '/tmp/a:b:c');
+    assert.equal(busPathFor('unix:abstract=/tmp/dbus-x:y'), '\0/tmp/dbus-x:y');
+});
+
+test('the first unix address is used', () => {
+    assert.equal(busPathFor('tcp:host=localhost,port=1234;unix:path=/tmp/bus;unix:path=/tmp/other'), '/tmp/bus');
+    assert.equal(busPathFor('tcp:host=localhost,port=1234'), null);
+    assert.equal(busPathFor('garbage'), null);
+});
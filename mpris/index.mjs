@@ -1,93 +1,1582 @@
 /**
  * MPRIS Media Controller Plugin for SillyTavern
- * Controls any MPRIS-compatible media player via playerctl
+ * Controls any MPRIS-compatible media player over D-Bus, or via playerctl as a fallback
  */
 
-import { exec } from 'node:child_process';
+import { exec, execFile, spawn } from 'node:child_process';
+import { createHash, randomBytes } from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
 import { promisify } from 'node:util';
+import { DBusConnection } from './dbus.mjs';
+import { readTags } from './tags.mjs';
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
 export const info = {
     id: 'mpris',
     name: 'MPRIS Media Controller',
-    description: 'Control any MPRIS-compatible media player (Spotify, VLC, Firefox, etc.) via playerctl',
+    description: 'Control any MPRIS-compatible media player (Spotify, VLC, Firefox, etc.) over D-Bus or playerctl',
 };
 
+// Player names without the org.mpris.MediaPlayer2 prefix, as `playerctl --list-all`
+// prints them (e.g. "spotify", "firefox.instance_1_42")
+const PLAYER_NAME_PATTERN = /^[\w.-]+$/;
+const LOOP_MODES = ['None', 'Track', 'Playlist'];
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+// Optional overrides are read from config.json next to this file
+const CONFIG_PATH = new URL('./config.json', import.meta.url);
+const DEFAULT_CONFIG = {
+    // 'auto' (D-Bus, falling back to playerctl), 'dbus' or 'playerctl'
+    backend: 'auto',
+    // Folder with .lrc files named "Artist - Title.lrc" (empty = only look next to audio files)
+    lyricsDir: '',
+    // Folder of audio files for the extension's built-in player (empty = music folder mode off)
+    musicDir: '',
+    // Who may control players on this machine: 'everyone', 'admins', or 'allowlist' (admins and the
+    // user handles in allowedUsers). Everyone else gets read-only status. Matters in multi-user mode.
+    controlAccess: 'everyone',
+    allowedUsers: [],
+    // Spotify endpoints used by the token vault and /spotify/api proxy (override to test against a mock)
+    spotifyAccountsUrl: 'https://accounts.spotify.com',
+    spotifyApiUrl: 'https://api.spotify.com/v1',
+};
+
+let config = { ...DEFAULT_CONFIG };
+
+function loadConfig() {
+    try {
+        config = { ...DEFAULT_CONFIG, ...JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')) };
+        console.log('[MPRIS] Loaded config.json');
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('[MPRIS] Could not read config.json, using defaults:', error.message);
+        }
+        config = { ...DEFAULT_CONFIG };
+    }
+}
+
+// =============================================================================
+// DIAGNOSTICS
+// =============================================================================
+
+const RECENT_ERRORS_LIMIT = 20;
+const HEALTH_PROBE_TIMEOUT_MS = 3000;
+
+/** @type {{at: string, context: string, message: string, count: number}[]} */
+const recentErrors = [];
+
+/** Timing of the last control request, reported by /health */
+let lastCommand = null;
+
+/**
+ * Log an error and keep it for /health. Repeats of the latest error only bump its count,
+ * so a failure hit on every poll neither floods the console nor pushes older errors out.
+ * @param {string} context - What failed, e.g. "D-Bus play"
+ * @param {Error|string} error
+ */
+function logError(context, error) {
+    const message = typeof error === 'string' ? error : error?.message || String(error);
+    const at = new Date().toISOString();
+    const last = recentErrors[recentErrors.length - 1];
+    if (last && last.context === context && last.message === message) {
+        last.count++;
+        last.at = at;
+        return;
+    }
+
+    console.error(`[MPRIS] ${context} failed:`, message);
+    recentErrors.push({ at, context, message, count: 1 });
+    if (recentErrors.length > RECENT_ERRORS_LIMIT) recentErrors.shift();
+}
+
+/**
+ * Whether playerctl can be run, and its version
+ */
+async function probePlayerctl() {
+    try {
+        const { stdout } = await execFileAsync('playerctl', ['--version'], { timeout: HEALTH_PROBE_TIMEOUT_MS });
+        return { installed: true, version: stdout.trim().replace(/^v/, '') };
+    } catch (error) {
+        const missing = error.code === 'ENOENT';
+        return { installed: !missing, version: null, error: missing ? 'playerctl was not found in PATH' : error.message };
+    }
+}
+
+/**
+ * Whether the D-Bus session bus accepts connections
+ */
+async function probeDBus() {
+    const address = process.env.DBUS_SESSION_BUS_ADDRESS || null;
+    try {
+        if (backend === dbusBackend) {
+            await getBus();
+        } else {
+            // Don't leave a connection open for a backend that isn't in use
+            const connection = await new DBusConnection().connect(undefined, HEALTH_PROBE_TIMEOUT_MS);
+            connection.close();
+        }
+        return { reachable: true, address };
+    } catch (error) {
+        return { reachable: false, address, error: error.message };
+    }
+}
+
+// =============================================================================
+// ACCESS CONTROL
+// =============================================================================
+
+/**
+ * Whether the requesting user may control players on this machine under `controlAccess`.
+ * Unknown policies fail closed (admins only).
+ * @param {import('express').Request} req
+ */
+function canControl(req) {
+    const profile = req.user?.profile;
+    // SillyTavern without user accounts: whoever reaches the server owns it
+    if (!profile) return true;
+
+    switch (config.controlAccess) {
+        case 'everyone':
+            return true;
+        case 'allowlist':
+            return Boolean(profile.admin) || (Array.isArray(config.allowedUsers) && config.allowedUsers.includes(profile.handle));
+        default:
+            return Boolean(profile.admin);
+    }
+}
+
+/**
+ * Routes that only read state, or that act for the user alone (their own Spotify
+ * login, the music folder their browser plays)
+ * @param {import('express').Request} req
+ */
+function isReadOnlyRequest(req) {
+    return req.method === 'GET' || req.method === 'HEAD' || req.path.startsWith('/spotify/');
+}
+
+// =============================================================================
+// PLAYERCTL BACKEND
+// =============================================================================
+
+/**
+ * Execute a playerctl command and return the output
+ * @param {string[]} args - Arguments to pass to playerctl (not run through a shell)
+ * @param {string|null} [player] - Player to target, or null to let playerctl pick
+ * @returns {Promise<string>} Command output
+ */
+async function playerctl(args, player = null) {
+    const target = player ? [`--player=${player}`] : [];
+    try {
+        const { stdout } = await execFileAsync('playerctl', [...target, ...args]);
+        return stdout.trim();
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            logError('Running playerctl', 'playerctl is not installed');
+        }
+        // playerctl returns exit code 1 when no player is found
+        return null;
+    }
+}
+
+/**
+ * List the names of all running MPRIS players
+ * @returns {Promise<string[]>} Player names
+ */
+async function listPlayerctlPlayers() {
+    const output = await playerctl(['--list-all']);
+    return output ? output.split('\n').filter(p => p) : [];
+}
+
+// Everything getPlayerctlState() needs, fetched with one formatted call. Fields are
+// joined with the ASCII unit separator, which never appears in titles, so quotes and
+// other special characters need no escaping.
+const STATE_FIELDS = ['status', 'position', 'shuffle', 'loop', 'volume', 'title', 'artist', 'album', 'mpris:artUrl', 'mpris:length', 'xesam:url'];
+const FIELD_SEPARATOR = '\x1f';
+const STATE_FORMAT = STATE_FIELDS.map(field => `{{${field}}}`).join(FIELD_SEPARATOR);
+
+/**
+ * Get current playback status and track info
+ * @param {string|null} player - Player to query
+ * @returns {Promise<object>} Player state object
+ */
+async function getPlayerctlState(player) {
+    if (!player) {
+        return { playing: false, available: false };
+    }
+
+    try {
+        const raw = await playerctl(['metadata', '--format', STATE_FORMAT], player);
+        if (!raw) {
+            return { playing: false, available: false };
+        }
+
+        const values = raw.split(FIELD_SEPARATOR);
+        const fields = Object.fromEntries(STATE_FIELDS.map((field, i) => [field, values[i] || '']));
+
+        // Older playerctl releases leave shuffle and loop empty in format strings
+        if (!fields.shuffle) fields.shuffle = await playerctl(['shuffle'], player) || '';
+        if (!fields.loop) fields.loop = await playerctl(['loop'], player) || '';
+
+        // Position and mpris:length are both in microseconds in format strings
+        const positionUs = parseInt(fields.position || '0', 10);
+        const lengthUs = parseInt(fields['mpris:length'] || '0', 10);
+        const volume = parseFloat(fields.volume);
+
+        return {
+            available: true,
+            player,
+            playing: fields.status === 'Playing',
+            title: fields.title || 'Unknown',
+            artist: fields.artist || 'Unknown',
+            album: fields.album || '',
+            artUrl: fields['mpris:artUrl'] || '',
+            url: fields['xesam:url'] || '',
+            progress_ms: Math.floor(positionUs / 1000),
+            duration_ms: Math.floor(lengthUs / 1000),
+            shuffle: fields.shuffle === 'On' || fields.shuffle === 'true',
+            loop: fields.loop || 'None', // None, Track, or Playlist
+            volume: Number.isFinite(volume) ? volume : null,
+        };
+    } catch (error) {
+        logError('Getting player state', error);
+        return { playing: false, available: false, error: error.message };
+    }
+}
+
+// Fields watched for changes. Position is left out on purpose: with it in the
+// format, `playerctl --follow` re-emits every second. Clients advance progress locally.
+const FOLLOW_FORMAT = '{{playerName}}\t{{status}}\t{{xesam:url}}\t{{title}}\t{{artist}}\t{{album}}\t{{mpris:artUrl}}\t{{mpris:length}}\t{{shuffle}}\t{{loop}}\t{{volume}}';
+const FOLLOW_RESTART_DELAY_MS = 2000;
+
+const playerctlBackend = {
+    name: 'playerctl',
+    listPlayers: listPlayerctlPlayers,
+    getState: getPlayerctlState,
+
+    /**
+     * @param {string|null} player - Player to control
+     * @param {'play'|'pause'|'play-pause'|'next'|'previous'} action - Transport action
+     */
+    async command(player, action) {
+        await playerctl([action], player);
+    },
+
+    async seek(player, positionSec) {
+        await playerctl(['position', String(positionSec)], player);
+    },
+
+    async setVolume(player, volume) {
+        await playerctl(['volume', String(volume)], player);
+    },
+
+    async toggleShuffle(player) {
+        await playerctl(['shuffle', 'Toggle'], player);
+    },
+
+    async open(player, uri) {
+        await playerctl(['open', uri], player);
+    },
+
+    async getMetadataField(player, key) {
+        return await playerctl(['metadata', key], player) || '';
+    },
+
+    async cycleLoop(player) {
+        const current = await playerctl(['loop'], player);
+        const nextMode = LOOP_MODES[(LOOP_MODES.indexOf(current) + 1) % LOOP_MODES.length];
+        await playerctl(['loop', nextMode], player);
+        return nextMode;
+    },
+
+    /**
+     * Watch all players with one long-lived `playerctl --follow` process
+     * @param {() => void} onChange - Called whenever any player changes
+     * @param {(error: Error) => void} onError - Called if the watcher cannot run
+     * @returns {() => void} Stops watching
+     */
+    watch(onChange, onError) {
+        let child = null;
+        let restartTimeout = null;
+        let stopped = false;
+
+        const start = () => {
+            child = spawn('playerctl', ['--all-players', '--follow', 'metadata', '--format', FOLLOW_FORMAT], {
+                stdio: ['ignore', 'pipe', 'ignore'],
+            });
+            child.stdout.on('data', onChange);
+            child.on('error', (error) => {
+                stopped = true;
+                onError(error);
+            });
+            child.on('close', () => {
+                if (stopped) return;
+                // Players come and go; playerctl may also exit on its own
+                restartTimeout = setTimeout(() => {
+                    start();
+                    onChange();
+                }, FOLLOW_RESTART_DELAY_MS);
+            });
+        };
+
+        start();
+        return () => {
+            stopped = true;
+            clearTimeout(restartTimeout);
+            child?.kill();
+        };
+    },
+};
+
+// =============================================================================
+// D-BUS BACKEND
+// =============================================================================
+
+const MPRIS_PREFIX = 'org.mpris.MediaPlayer2.';
+const MPRIS_PATH = '/org/mpris/MediaPlayer2';
+const MPRIS_PLAYER_INTERFACE = 'org.mpris.MediaPlayer2.Player';
+const PROPERTIES_INTERFACE = 'org.freedesktop.DBus.Properties';
+const DBUS_METHODS = { 'play': 'Play', 'pause': 'Pause', 'play-pause': 'PlayPause', 'next': 'Next', 'previous': 'Previous' };
+
+/** @type {Promise<DBusConnection>|null} */
+let busConnection = null;
+
+/**
+ * Get the shared session bus connection, reconnecting if it was lost
+ * @returns {Promise<DBusConnection>}
+ */
+function getBus() {
+    if (!busConnection) {
+        const pending = new DBusConnection().connect().then((connection) => {
+            connection.on('close', () => {
+                if (busConnection === pending) busConnection = null;
+            });
+            return connection;
+        });
+        pending.catch(() => {
+            if (busConnection === pending) busConnection = null;
+        });
+        busConnection = pending;
+    }
+    return busConnection;
+}
+
+async function callPlayer(player, member, signature = '', body = []) {
+    const bus = await getBus();
+    return bus.call({ destination: MPRIS_PREFIX + player, path: MPRIS_PATH, interface: MPRIS_PLAYER_INTERFACE, member, signature, body });
+}
+
+async function getPlayerProperties(player) {
+    const bus = await getBus();
+    const [properties] = await bus.call({
+        destination: MPRIS_PREFIX + player,
+        path: MPRIS_PATH,
+        interface: PROPERTIES_INTERFACE,
+        member: 'GetAll',
+        signature: 's',
+        body: [MPRIS_PLAYER_INTERFACE],
+    });
+    return properties;
+}
+
+/**
+ * @param {string} player - Player name
+ * @param {string} name - Property name
+ * @param {[string, any]} variant - Signature and value, e.g. ['d', 0.5]
+ */
+async function setPlayerProperty(player, name, variant) {
+    const bus = await getBus();
+    await bus.call({
+        destination: MPRIS_PREFIX + player,
+        path: MPRIS_PATH,
+        interface: PROPERTIES_INTERFACE,
+        member: 'Set',
+        signature: 'ssv',
+        body: [MPRIS_PLAYER_INTERFACE, name, variant],
+    });
+}
+
+/**
+ * Run a D-Bus player operation, logging failures the way playerctl's exit codes are ignored
+ */
+async function tryDBus(description, operation) {
+    try {
+        return await operation();
+    } catch (error) {
+        logError(`D-Bus ${description}`, error);
+        return null;
+    }
+}
+
+const dbusBackend = {
+    name: 'dbus',
+
+    async listPlayers() {
+        const names = await tryDBus('ListNames', async () => {
+            const bus = await getBus();
+            const [result] = await bus.call({
+                destination: 'org.freedesktop.DBus',
+                path: '/org/freedesktop/DBus',
+                interface: 'org.freedesktop.DBus',
+                member: 'ListNames',
+            });
+            return result;
+        });
+        return (names || [])
+            .filter(name => name.startsWith(MPRIS_PREFIX))
+            .map(name => name.slice(MPRIS_PREFIX.length));
+    },
+
+    async getState(player) {
+        if (!player) {
+            return { playing: false, available: false };
+        }
+
+        try {
+            const properties = await getPlayerProperties(player);
+            const metadata = properties.Metadata || {};
+            const artist = metadata['xesam:artist'];
+
+            return {
+                available: true,
+                player,
+                playing: properties.PlaybackStatus === 'Playing',
+                title: metadata['xesam:title'] || 'Unknown',
+                artist: (Array.isArray(artist) ? artist.join(', ') : artist) || 'Unknown',
+                album: metadata['xesam:album'] || '',
+                artUrl: metadata['mpris:artUrl'] || '',
+                url: metadata['xesam:url'] || '',
+                // MPRIS positions and lengths are in microseconds
+                progress_ms: Math.floor((properties.Position || 0) / 1000),
+                duration_ms: Math.floor((metadata['mpris:length'] || 0) / 1000),
+                shuffle: properties.Shuffle === true,
+                loop: properties.LoopStatus || 'None', // None, Track, or Playlist
+                volume: typeof properties.Volume === 'number' ? properties.Volume : null,
+            };
+        } catch (error) {
+            logError('Getting player state', error);
+            return { playing: false, available: false, error: error.message };
+        }
+    },
+
+    async command(player, action) {
+        if (!player || !DBUS_METHODS[action]) return;
+        await tryDBus(action, () => callPlayer(player, DBUS_METHODS[action]));
+    },
+
+    async seek(player, positionSec) {
+        if (!player) return;
+        await tryDBus('seek', async () => {
+            const properties = await getPlayerProperties(player);
+            const trackId = properties.Metadata?.['mpris:trackid'];
+            const positionUs = Math.round(positionSec * 1e6);
+            if (trackId) {
+                await callPlayer(player, 'SetPosition', 'ox', [trackId, positionUs]);
+            } else {
+                // SetPosition needs a track id; fall back to a relative seek
+                await callPlayer(player, 'Seek', 'x', [positionUs - (properties.Position || 0)]);
+            }
+        });
+    },
+
+    async setVolume(player, volume) {
+        if (!player) return;
+        await tryDBus('volume', () => setPlayerProperty(player, 'Volume', ['d', volume]));
+    },
+
+    async open(player, uri) {
+        if (!player) return;
+        await tryDBus('open', () => callPlayer(player, 'OpenUri', 's', [uri]));
+    },
+
+    async getMetadataField(player, key) {
+        if (!player) return '';
+        const properties = await tryDBus('metadata', () => getPlayerProperties(player));
+        const value = properties?.Metadata?.[key];
+        return Array.isArray(value) ? value.join(', ') : String(value ?? '');
+    },
+
+    async toggleShuffle(player) {
+        if (!player) return;
+        await tryDBus('shuffle', async () => {
+            const properties = await getPlayerProperties(player);
+            await setPlayerProperty(player, 'Shuffle', ['b', !properties.Shuffle]);
+        });
+    },
+
+    async cycleLoop(player) {
+        if (!player) return null;
+        return tryDBus('loop', async () => {
+            const properties = await getPlayerProperties(player);
+            const nextMode = LOOP_MODES[(LOOP_MODES.indexOf(properties.LoopStatus) + 1) % LOOP_MODES.length];
+            await setPlayerProperty(player, 'LoopStatus', ['s', nextMode]);
+            return nextMode;
+        });
+    },
+
+    /**
+     * Watch PropertiesChanged/Seeked on every player and players appearing or vanishing
+     * @param {() => void} onChange - Called whenever any player changes
+     * @param {(error: Error) => void} onError - Called if the bus is unreachable or lost
+     * @returns {() => void} Stops watching
+     */
+    watch(onChange, onError) {
+        const rules = [
+            `type='signal',interface='${PROPERTIES_INTERFACE}',member='PropertiesChanged',path='${MPRIS_PATH}'`,
+            `type='signal',interface='${MPRIS_PLAYER_INTERFACE}',member='Seeked',path='${MPRIS_PATH}'`,
+            'type=\'signal\',interface=\'org.freedesktop.DBus\',member=\'NameOwnerChanged\',arg0namespace=\'org.mpris.MediaPlayer2\'',
+        ];
+        let bus = null;
+        let stopped = false;
+
+        const onSignal = (message) => {
+            if (message.path === MPRIS_PATH || message.member === 'NameOwnerChanged') {
+                onChange();
+            }
+        };
+        const onClose = (error) => {
+            if (!stopped) onError(error);
+        };
+
+        getBus().then(async (connection) => {
+            if (stopped) return;
+            bus = connection;
+            bus.on('signal', onSignal);
+            bus.once('close', onClose);
+            for (const rule of rules) {
+                await bus.addMatch(rule);
+            }
+        }).catch(onClose);
+
+        return () => {
+            stopped = true;
+            if (!bus) return;
+            bus.off('signal', onSignal);
+            bus.off('close', onClose);
+            for (const rule of rules) {
+                bus.call({
+                    destination: 'org.freedesktop.DBus',
+                    path: '/org/freedesktop/DBus',
+                    interface: 'org.freedesktop.DBus',
+                    member: 'RemoveMatch',
+                    signature: 's',
+                    body: [rule],
+                }).catch(() => { });
+            }
+        };
+    },
+};
+
+// =============================================================================
+// BACKEND SELECTION
+// =============================================================================
+
+/** Active backend, chosen in init() */
+let backend = playerctlBackend;
+
+/**
+ * Pick the backend from config.backend, preferring D-Bus in 'auto' mode
+ */
+async function selectBackend() {
+    if (config.backend !== 'playerctl') {
+        try {
+            await getBus();
+            console.log('[MPRIS] Connected to the D-Bus session bus, plugin ready.');
+            return dbusBackend;
+        } catch (error) {
+            if (config.backend === 'dbus') {
+                console.error('[MPRIS] WARNING: D-Bus session bus unavailable:', error.message);
+                return dbusBackend;
+            }
+            console.warn(`[MPRIS] D-Bus session bus unavailable (${error.message}), falling back to playerctl.`);
+        }
+    }
+
+    // Check if playerctl is available
+    try {
+        await execAsync('which playerctl');
+        console.log('[MPRIS] playerctl found, plugin ready.');
+    } catch {
+        console.error('[MPRIS] WARNING: playerctl not found! Install it with: sudo pacman -S playerctl (Arch) or sudo apt install playerctl (Debian/Ubuntu)');
+    }
+    return playerctlBackend;
+}
+
+// =============================================================================
+// LOOKUP COALESCING
+// =============================================================================
+
+// Several tabs polling /status at once share one lookup instead of each spawning processes
+const LOOKUP_TTL_MS = 250;
+
+/** @type {Map<string, {promise: Promise<any>, settledAt: number|null}>} */
+const lookupCache = new Map();
+
+/**
+ * Share one in-flight lookup between concurrent callers and reuse its result for LOOKUP_TTL_MS
+ * @param {string} key - Cache key
+ * @param {() => Promise<any>} lookup - Performs the lookup
+ */
+function coalesce(key, lookup) {
+    const cached = lookupCache.get(key);
+    if (cached && (cached.settledAt === null || Date.now() - cached.settledAt < LOOKUP_TTL_MS)) {
+        return cached.promise;
+    }
+
+    const entry = { promise: lookup(), settledAt: null };
+    entry.promise.then(
+        () => { entry.settledAt = Date.now(); },
+        () => { lookupCache.delete(key); },
+    );
+    lookupCache.set(key, entry);
+    return entry.promise;
+}
+
+/**
+ * Drop cached lookups after anything that changes player state
+ */
+function invalidateLookups() {
+    lookupCache.clear();
+}
+
+function listPlayers() {
+    return coalesce('players', () => backend.listPlayers());
+}
+
+function getPlayerState(player) {
+    return coalesce(`state:${player || ''}`, async () => {
+        const state = await backend.getState(player);
+        if (state.artUrl) rememberArtUrl(state.artUrl);
+        return state;
+    });
+}
+
+/**
+ * Turn a soundtrack location into a URI a player can open.
+ * Absolute paths become file:// URIs; anything else must already carry a scheme.
+ * @param {unknown} location - URI or absolute file path
+ * @returns {string|null} URI, or null if the location is not usable
+ */
+function toPlayerUri(location) {
+    if (typeof location !== 'string' || !location.trim()) return null;
+    const value = location.trim();
+    if (path.isAbsolute(value)) return pathToFileURL(value).href;
+    return /^[a-z][a-z0-9+.-]*:/i.test(value) ? value : null;
+}
+
+/**
+ * Resolve which player a request should target.
+ * Reads `player` (preferred) and `priority` (comma-separated fallbacks) from the
+ * query string or JSON body. A name matches a running player exactly or by its
+ * instance prefix, so "firefox" matches "firefox.instance_1_42". When nothing
+ * matches, the first running player is used so that status and controls agree.
+ * @param {import('express').Request} req - Incoming request
+ * @returns {Promise<string|null>} Player name, or null if no player is running
+ */
+async function resolvePlayer(req) {
+    const source = (req.method === 'GET' ? req.query : req.body) || {};
+    const priority = Array.isArray(source.priority) ? source.priority : String(source.priority || '').split(',');
+    const candidates = [source.player, ...priority]
+        .map(name => String(name || '').trim())
+        .filter(name => PLAYER_NAME_PATTERN.test(name));
+
+    const available = await listPlayers();
+    for (const candidate of candidates) {
+        const match = available.find(p => p === candidate || p.startsWith(`${candidate}.`));
+        if (match) return match;
+    }
+    return available[0] || null;
+}
+
+// =============================================================================
+// LYRICS
+// =============================================================================
+
+const LYRICS_EXTENSION = '.lrc';
+const LYRICS_INDEX_TTL_MS = 30000;
+const LYRICS_MAX_DEPTH = 3;
+
+let lyricsIndex = null;
+let lyricsIndexBuiltAt = 0;
+
+/**
+ * Lowercase and strip everything but letters and digits, so "AC/DC - T.N.T." matches "acdc - tnt"
+ */
+function normalizeLyricsName(value) {
+    return String(value || '').toLowerCase().normalize('NFKD').replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Map of normalized file names (without extension) to .lrc paths under config.lyricsDir.
+ * Files may be named "Artist - Title.lrc" or "Title.lrc", optionally in artist/album folders.
+ * @returns {Promise<Map<string, string>>}
+ */
+async function getLyricsIndex() {
+    if (lyricsIndex && Date.now() - lyricsIndexBuiltAt < LYRICS_INDEX_TTL_MS) {
+        return lyricsIndex;
+    }
+
+    const index = new Map();
+    async function walk(directory, depth) {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(directory, { withFileTypes: true });
+        } catch (error) {
+            logError(`Reading lyrics folder ${directory}`, error);
+            return;
+        }
+        for (const entry of entries) {
+            const fullPath = path.join(directory, entry.name);
+            if (entry.isDirectory() && depth < LYRICS_MAX_DEPTH) {
+                await walk(fullPath, depth + 1);
+            } else if (entry.isFile() && entry.name.toLowerCase().endsWith(LYRICS_EXTENSION)) {
+                const key = normalizeLyricsName(path.basename(entry.name, path.extname(entry.name)));
+                // Prefer the shallowest match
+                if (!index.has(key)) index.set(key, fullPath);
+                // Allow "Artist/Title.lrc" to match as "Artist - Title"
+                const folderKey = normalizeLyricsName(path.basename(directory)) + key;
+                if (depth > 0 && !index.has(folderKey)) index.set(folderKey, fullPath);
+            }
+        }
+    }
+
+    if (config.lyricsDir) {
+        await walk(path.resolve(config.lyricsDir), 0);
+    }
+    lyricsIndex = index;
+    lyricsIndexBuiltAt = Date.now();
+    return index;
+}
+
+/**
+ * Parse LRC text into timed lines. Text without timestamps comes back as untimed lines.
+ * @param {string} text - LRC or plain lyrics
+ * @returns {{synced: boolean, lines: {time_ms: number|null, text: string}[]}}
+ */
+function parseLyrics(text) {
+    const timestampPattern = /\[(\d+):(\d{1,2}(?:[.:]\d{1,3})?)\]/g;
+    const offsetMatch = /^\[offset:\s*([+-]?\d+)\]/im.exec(text);
+    // A positive offset makes lyrics appear earlier
+    const offsetMs = offsetMatch ? parseInt(offsetMatch[1], 10) : 0;
+
+    const timed = [];
+    const plain = [];
+    for (const rawLine of text.split(/\r?\n/)) {
+        const stamps = [...rawLine.matchAll(timestampPattern)];
+        const lineText = rawLine.replace(timestampPattern, '').trim();
+
+        if (stamps.length === 0) {
+            // Skip ID tags such as [ar:Artist] or [length:3:20]
+            if (!/^\[[a-z#]+:.*\]$/i.test(rawLine.trim())) plain.push({ time_ms: null, text: rawLine.trim() });
+            continue;
+        }
+        for (const [, minutes, seconds] of stamps) {
+            const time = (parseInt(minutes, 10) * 60 + parseFloat(seconds.replace(':', '.'))) * 1000;
+            timed.push({ time_ms: Math.max(0, Math.round(time - offsetMs)), text: lineText });
+        }
+    }
+
+    if (timed.length > 0) {
+        return { synced: true, lines: timed.sort((a, b) => a.time_ms - b.time_ms) };
+    }
+    // Trim leading and trailing blank lines of plain lyrics
+    while (plain.length && !plain[0].text) plain.shift();
+    while (plain.length && !plain[plain.length - 1].text) plain.pop();
+    return { synced: false, lines: plain };
+}
+
+/**
+ * Find lyrics for a track: an .lrc next to the audio file the player reported, then a
+ * matching file in config.lyricsDir, then lyrics embedded in the metadata (xesam:asText).
+ * @param {string|null} player - Player to ask for the file path and embedded lyrics
+ * @param {string} artist - Track artist
+ * @param {string} title - Track title
+ * @param {string|null} [audioPath] - Music folder file being played, instead of the player's file
+ * @returns {Promise<object>} { found, source, synced, lines }
+ */
+async function findLyrics(player, artist, title, audioPath = null) {
+    const state = player ? await getPlayerState(player) : null;
+
+    // Only look next to the file the player (or the music folder) actually reported
+    if (!audioPath && state?.url?.startsWith('file://')) {
+        audioPath = fileURLToPath(state.url);
+    }
+    if (audioPath) {
+        try {
+            const lyricsPath = path.join(path.dirname(audioPath), path.basename(audioPath, path.extname(audioPath)) + LYRICS_EXTENSION);
+            const text = await fs.promises.readFile(lyricsPath, 'utf8');
+            return { found: true, source: 'file', ...parseLyrics(text) };
+        } catch {
+            // No sidecar file
+        }
+    }
+
+    title = title || state?.title || '';
+    artist = artist || state?.artist || '';
+    if (config.lyricsDir && title) {
+        const index = await getLyricsIndex();
+        // Multi-artist tracks may be filed under the first artist only
+        const firstArtist = artist.split(',')[0];
+        const keys = [artist, firstArtist].map(name => normalizeLyricsName(name) + normalizeLyricsName(title));
+        keys.push(normalizeLyricsName(title));
+
+        for (const key of keys) {
+            const lyricsPath = index.get(key);
+            if (!lyricsPath) continue;
+            try {
+                const text = await fs.promises.readFile(lyricsPath, 'utf8');
+                return { found: true, source: 'library', ...parseLyrics(text) };
+            } catch (error) {
+                logError('Reading lyrics file', error);
+            }
+        }
+    }
+
+    if (player) {
+        const embedded = await backend.getMetadataField(player, 'xesam:asText');
+        if (embedded) {
+            return { found: true, source: 'metadata', ...parseLyrics(embedded) };
+        }
+    }
+
+    return { found: false, synced: false, lines: [] };
+}
+
+// =============================================================================
+// ALBUM ART
+// =============================================================================
+
+// Browsers can't load the file:// art most players report, so /art serves it instead.
+// Only URLs a player has reported are served, so the route can't be used to read
+// arbitrary files or reach arbitrary hosts.
+const ART_MAX_BYTES = 10 * 1024 * 1024;
+const ART_REMEMBERED_URLS = 100;
+const ART_CACHE_ENTRIES = 32;
+const ART_FETCH_TIMEOUT_MS = 10000;
+const ART_MIN_SIZE = 32;
+const ART_MAX_SIZE = 1024;
+
+/** @type {Set<string>} Art URLs reported by players, oldest first */
+const reportedArtUrls = new Set();
+
+/** @type {Map<string, {buffer: Buffer, contentType: string, etag: string}>} Least recently used first */
+const artCache = new Map();
+
+let jimpModule;
+
+/**
+ * @param {string} url - mpris:artUrl of a player state
+ */
+function rememberArtUrl(url) {
+    reportedArtUrls.delete(url);
+    reportedArtUrls.add(url);
+    if (reportedArtUrls.size > ART_REMEMBERED_URLS) {
+        reportedArtUrls.delete(reportedArtUrls.values().next().value);
+    }
+}
+
+/**
+ * Detect the image type from its first bytes
+ * @param {Buffer} buffer
+ * @returns {string|null} MIME type, or null if it isn't a known image format
+ */
+function sniffImageType(buffer) {
+    if (buffer.length < 12) return null;
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+    if (buffer.subarray(0, 4).toString('latin1') === 'GIF8') return 'image/gif';
+    if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') return 'image/webp';
+    if (buffer.subarray(0, 2).toString('latin1') === 'BM') return 'image/bmp';
+    return null;
+}
+
+/**
+ * Identify the current version of the art behind a reported URL
+ * @param {string} url - file://, http:// or https:// URL
+ * @returns {Promise<string>} Cache key
+ */
+async function getArtVersion(url) {
+    if (url.startsWith('file://')) {
+        const stats = await fs.promises.stat(fileURLToPath(url));
+        if (!stats.isFile() || stats.size > ART_MAX_BYTES) throw new Error('Not a usable image file');
+        // Some players (mpv, cmus) rewrite one cover file for every track
+        return `${url}:${stats.size}:${stats.mtimeMs}`;
+    }
+    if (/^https?:\/\//.test(url)) return url;
+    throw new Error('Unsupported art URL');
+}
+
+/**
+ * Read the art behind a reported URL
+ * @param {string} url - file://, http:// or https:// URL
+ * @returns {Promise<Buffer>}
+ */
+async function readArt(url) {
+    if (url.startsWith('file://')) {
+        return await fs.promises.readFile(fileURLToPath(url));
+    }
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(ART_FETCH_TIMEOUT_MS) });
+    if (!response.ok) throw new Error(`Status ${response.status}`);
+    if (Number(response.headers.get('content-length')) > ART_MAX_BYTES) {
+        await response.body?.cancel();
+        throw new Error('Image too large');
+    }
+
+    // The length header is optional and can be wrong, so count what actually arrives
+    const chunks = [];
+    let received = 0;
+    for await (const chunk of response.body ?? []) {
+        received += chunk.length;
+        // Leaving the loop cancels the rest of the download
+        if (received > ART_MAX_BYTES) throw new Error('Image too large');
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks, received);
+}
+
+/**
+ * Load jimp from SillyTavern's dependencies, if it is there
+ * @returns {Promise<any>} The Jimp class, or null
+ */
+async function loadJimp() {
+    if (jimpModule === undefined) {
+        try {
+            const module = await import('jimp');
+            jimpModule = module.Jimp ?? module.default ?? null;
+        } catch {
+            console.log('[MPRIS] jimp not available, album art is served at its original size.');
+            jimpModule = null;
+        }
+    }
+    return jimpModule;
+}
+
 /**
- * Execute a playerctl command and return the output
- * @param {string} args - Arguments to pass to playerctl
- * @returns {Promise<string>} Command output
+ * Scale an image down to fit a square, if jimp is available
+ * @param {Buffer} buffer - Image data
+ * @param {number} size - Maximum width and height
+ * @returns {Promise<Buffer|null>} JPEG data, or null to serve the original
  */
-async function playerctl(args) {
+async function resizeArt(buffer, size) {
+    const Jimp = await loadJimp();
+    if (!Jimp) return null;
+
     try {
-        const { stdout } = await execAsync(`playerctl ${args}`);
-        return stdout.trim();
+        const image = await Jimp.read(buffer);
+        if (image.bitmap.width <= size && image.bitmap.height <= size) return null;
+        // jimp 0.x takes positional arguments, 1.x an options object
+        if (typeof image.getBufferAsync === 'function') {
+            image.scaleToFit(size, size);
+            return await image.getBufferAsync('image/jpeg');
+        }
+        image.scaleToFit({ w: size, h: size });
+        return await image.getBuffer('image/jpeg');
     } catch (error) {
-        // playerctl returns exit code 1 when no player is found
+        logError('Resizing album art', error);
         return null;
     }
 }
 
 /**
- * Get current playback status and track info
- * @returns {Promise<object>} Player state object
+ * Get reported art as an image, from the cache when possible
+ * @param {string} url - Reported art URL
+ * @param {number} size - Maximum width and height, or 0 for the original size
+ * @returns {Promise<{buffer: Buffer, contentType: string, etag: string}>}
  */
-async function getPlayerState() {
-    try {
-        // Get all metadata in JSON-like format
-        const format = '{"title":"{{title}}","artist":"{{artist}}","album":"{{album}}","artUrl":"{{mpris:artUrl}}","position":"{{position}}","length":"{{mpris:length}}"}';
-        const metadataRaw = await playerctl(`metadata --format '${format}'`);
+async function getArt(url, size) {
+    return await getCachedArt(await getArtVersion(url), () => readArt(url), size);
+}
 
-        if (!metadataRaw) {
-            return { playing: false, available: false };
+/**
+ * Look up art in the cache, or read, check and resize it
+ * @param {string} version - Identifies the image; changes whenever the image does
+ * @param {() => Promise<Buffer>} read - Reads the original image
+ * @param {number} size - Maximum width and height, or 0 for the original size
+ * @returns {Promise<{buffer: Buffer, contentType: string, etag: string}>}
+ */
+async function getCachedArt(version, read, size) {
+    const key = `${version}@${size}`;
+
+    const cached = artCache.get(key);
+    if (cached) {
+        artCache.delete(key);
+        artCache.set(key, cached);
+        return cached;
+    }
+
+    const buffer = await read();
+    const contentType = sniffImageType(buffer);
+    if (!contentType) throw new Error('Not an image');
+
+    const resized = size ? await resizeArt(buffer, size) : null;
+    const data = resized ?? buffer;
+    const art = {
+        buffer: data,
+        contentType: resized ? 'image/jpeg' : contentType,
+        etag: `"${createHash('sha1').update(data).digest('base64url')}"`,
+    };
+
+    artCache.set(key, art);
+    if (artCache.size > ART_CACHE_ENTRIES) {
+        artCache.delete(artCache.keys().next().value);
+    }
+    return art;
+}
+
+/**
+ * @param {unknown} value - `size` query parameter
+ * @returns {number} Clamped size in pixels, or 0 for the original size
+ */
+function parseArtSize(value) {
+    const requestedSize = parseInt(String(value), 10);
+    return requestedSize > 0 ? Math.min(Math.max(requestedSize, ART_MIN_SIZE), ART_MAX_SIZE) : 0;
+}
+
+/**
+ * Send art from getCachedArt, answering revalidation with 304
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {{buffer: Buffer, contentType: string, etag: string}} art
+ */
+function sendArt(req, res, art) {
+    // Cover files can be rewritten in place, so revalidate every time
+    res.set({ 'Content-Type': art.contentType, 'ETag': art.etag, 'Cache-Control': 'private, no-cache' });
+    if (req.headers['if-none-match'] === art.etag) {
+        return res.status(304).end();
+    }
+    res.send(art.buffer);
+}
+
+// =============================================================================
+// MUSIC LIBRARY
+// =============================================================================
+
+// Files most browsers can play. Tracks are only served by the id a scan gave them,
+// so the stream and art routes can't be used to read other files.
+const LIBRARY_EXTENSIONS = new Set(['.mp3', '.flac', '.ogg', '.oga', '.opus', '.m4a', '.mp4', '.aac', '.wav', '.webm']);
+const LIBRARY_MAX_DEPTH = 8;
+const LIBRARY_RESCAN_MS = 5 * 60 * 1000;
+const LIBRARY_COVER_NAMES = ['cover', 'folder', 'front', 'album'];
+const LIBRARY_COVER_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+/**
+ * @typedef {object} LibraryTrack
+ * @property {string} id - Stable for as long as the file keeps its path
+ * @property {string} path
+ * @property {string} title
+ * @property {string} artist
+ * @property {string} album
+ * @property {string} albumArtist
+ * @property {number} track
+ * @property {number} disc
+ * @property {string|null} cover - Image file in the track's folder, when the file embeds no picture
+ * @property {boolean} hasArt
+ */
+
+/** @type {Map<string, LibraryTrack>} */
+let libraryTracks = new Map();
+let libraryScannedAt = 0;
+/** @type {Promise<Map<string, LibraryTrack>>|null} */
+let libraryScan = null;
+
+/** @type {Map<string, {size: number, mtimeMs: number, tags: import('./tags.mjs').AudioTags}>} Tags by path, reused while a file is unchanged */
+const libraryTagCache = new Map();
+
+/**
+ * Collect audio files under a folder
+ * @param {string} directory
+ * @param {number} depth
+ * @param {string[]} files - Receives the paths
+ */
+async function walkLibrary(directory, depth, files) {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+        logError(`Reading music folder ${directory}`, error);
+        return;
+    }
+    for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        const fullPath = path.join(directory, entry.name);
+        let isDirectory = entry.isDirectory();
+        let isFile = entry.isFile();
+        if (entry.isSymbolicLink()) {
+            const stats = await fs.promises.stat(fullPath).catch(() => null);
+            isDirectory = Boolean(stats?.isDirectory());
+            isFile = Boolean(stats?.isFile());
+        }
+        if (isDirectory && depth < LIBRARY_MAX_DEPTH) {
+            await walkLibrary(fullPath, depth + 1, files);
+        } else if (isFile && LIBRARY_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+            files.push(fullPath);
         }
+    }
+}
 
-        // Get playback status separately (Playing, Paused, Stopped)
-        const status = await playerctl('status');
-        const isPlaying = status === 'Playing';
+/**
+ * Guess tags from "Artist/Album/01 - Title.mp3" or "Artist - Title.mp3" paths
+ * @param {string} root - Music folder
+ * @param {string} file
+ */
+function guessTagsFromPath(root, file) {
+    const name = path.basename(file, path.extname(file));
+    const numbered = name.match(/^(\d{1,3})[\s.\-_]+(.+)$/);
+    let title = numbered ? numbered[2] : name;
+    const folders = path.relative(root, path.dirname(file)).split(path.sep).filter(Boolean);
+    let artist = folders.length >= 2 ? folders[folders.length - 2] : '';
+    const separator = title.indexOf(' - ');
+    if (separator > 0 && !artist) {
+        artist = title.slice(0, separator);
+        title = title.slice(separator + 3);
+    }
+    return {
+        title,
+        artist: artist || 'Unknown Artist',
+        album: folders[folders.length - 1] || '',
+        track: numbered ? parseInt(numbered[1], 10) : 0,
+    };
+}
 
-        // Parse the metadata
-        let metadata;
+/**
+ * Find a cover image next to the audio files of a folder
+ * @param {string} directory
+ * @param {Map<string, string|null>} covers - Results by folder, for the current scan
+ */
+async function findFolderCover(directory, covers) {
+    if (!covers.has(directory)) {
+        let cover = null;
         try {
-            metadata = JSON.parse(metadataRaw);
+            const names = await fs.promises.readdir(directory);
+            const images = names.filter(name => LIBRARY_COVER_EXTENSIONS.includes(path.extname(name).toLowerCase()));
+            const named = images.find(name => LIBRARY_COVER_NAMES.includes(path.basename(name, path.extname(name)).toLowerCase()));
+            // A folder with a single image is taken to be the cover
+            const match = named ?? (images.length === 1 ? images[0] : null);
+            if (match) cover = path.join(directory, match);
         } catch {
-            // Handle cases where metadata contains special characters
-            metadata = {
-                title: await playerctl('metadata title') || 'Unknown',
-                artist: await playerctl('metadata artist') || 'Unknown',
-                album: await playerctl('metadata album') || '',
-                artUrl: await playerctl('metadata mpris:artUrl') || '',
-            };
+            // Unreadable folder; no cover
+        }
+        covers.set(directory, cover);
+    }
+    return covers.get(directory);
+}
+
+/**
+ * Read (or reuse) the tags of one file
+ * @param {string} root - Music folder
+ * @param {string} file
+ * @param {Map<string, string|null>} covers
+ * @returns {Promise<LibraryTrack>}
+ */
+async function describeLibraryFile(root, file, covers) {
+    const stats = await fs.promises.stat(file);
+    let tags = libraryTagCache.get(file);
+    if (!tags || tags.size !== stats.size || tags.mtimeMs !== stats.mtimeMs) {
+        let read;
+        try {
+            read = await readTags(file);
+        } catch (error) {
+            logError('Reading audio tags', error);
+            read = { hasPicture: false };
         }
+        tags = { size: stats.size, mtimeMs: stats.mtimeMs, tags: read };
+        libraryTagCache.set(file, tags);
+    }
 
-        // Get position and length for progress bar
-        // playerctl position returns seconds (float), mpris:length is in microseconds
-        const positionSec = parseFloat(await playerctl('position') || '0');
-        const lengthUs = parseInt(metadata.length || '0', 10);
+    const guessed = guessTagsFromPath(root, file);
+    const cover = tags.tags.hasPicture ? null : await findFolderCover(path.dirname(file), covers);
+    const relativePath = path.relative(root, file);
+    return {
+        id: createHash('sha1').update(relativePath).digest('base64url').slice(0, 16),
+        path: file,
+        title: tags.tags.title || guessed.title,
+        artist: tags.tags.artist || guessed.artist,
+        album: tags.tags.album || guessed.album,
+        albumArtist: tags.tags.albumArtist || '',
+        track: tags.tags.track || guessed.track,
+        disc: tags.tags.disc || 0,
+        cover,
+        hasArt: tags.tags.hasPicture || Boolean(cover),
+    };
+}
 
-        // Get shuffle and loop status
-        const shuffleStatus = await playerctl('shuffle');
-        const loopStatus = await playerctl('loop');
+/**
+ * Scan config.musicDir; unchanged files keep their cached tags
+ * @returns {Promise<Map<string, LibraryTrack>>}
+ */
+async function scanLibrary() {
+    const root = path.resolve(config.musicDir);
+    const stats = await fs.promises.stat(root);
+    if (!stats.isDirectory()) throw new Error(`${root} is not a folder`);
 
-        return {
-            available: true,
-            playing: isPlaying,
-            title: metadata.title || 'Unknown',
-            artist: metadata.artist || 'Unknown',
-            album: metadata.album || '',
-            artUrl: metadata.artUrl || '',
-            progress_ms: Math.floor(positionSec * 1000),
-            duration_ms: Math.floor(lengthUs / 1000),
-            shuffle: shuffleStatus === 'On',
-            loop: loopStatus || 'None', // None, Track, or Playlist
-        };
+    const files = [];
+    await walkLibrary(root, 0, files);
+
+    const tracks = new Map();
+    const covers = new Map();
+    for (const file of files) {
+        try {
+            const track = await describeLibraryFile(root, file, covers);
+            tracks.set(track.id, track);
+        } catch (error) {
+            // Removed while scanning
+            logError('Scanning music folder', error);
+        }
+    }
+    const found = new Set(files);
+    for (const file of libraryTagCache.keys()) {
+        if (!found.has(file)) libraryTagCache.delete(file);
+    }
+
+    console.log(`[MPRIS] Music folder scanned: ${tracks.size} tracks`);
+    libraryTracks = tracks;
+    libraryScannedAt = Date.now();
+    return tracks;
+}
+
+/**
+ * Tracks in the music folder, rescanning when the last scan is old
+ * @param {boolean} [refresh] - Rescan now
+ * @returns {Promise<Map<string, LibraryTrack>>}
+ */
+function getLibrary(refresh = false) {
+    if (libraryScan) return libraryScan;
+    if (!refresh && libraryScannedAt && Date.now() - libraryScannedAt < LIBRARY_RESCAN_MS) {
+        return Promise.resolve(libraryTracks);
+    }
+    libraryScan = scanLibrary().finally(() => {
+        libraryScan = null;
+    });
+    return libraryScan;
+}
+
+/**
+ * Embedded picture or folder cover of a track
+ * @param {LibraryTrack} track
+ * @param {number} size - Maximum width and height, or 0 for the original size
+ * @returns {Promise<{buffer: Buffer, contentType: string, etag: string}>}
+ */
+async function getLibraryArt(track, size) {
+    const source = track.cover || track.path;
+    const stats = await fs.promises.stat(source);
+    return await getCachedArt(`library:${source}:${stats.size}:${stats.mtimeMs}`, async () => {
+        if (track.cover) return await fs.promises.readFile(track.cover);
+        const { picture } = await readTags(track.path, { picture: true });
+        if (!picture) throw new Error('No embedded picture');
+        return picture.data;
+    }, size);
+}
+
+/**
+ * What the extension gets to see of a track (no paths)
+ * @param {LibraryTrack} track
+ */
+function toPublicTrack(track) {
+    const { id, title, artist, album, albumArtist, track: number, disc, hasArt } = track;
+    return { id, title, artist, album, albumArtist, track: number, disc, hasArt };
+}
+
+// =============================================================================
+// EVENT STREAM (SSE)
+// =============================================================================
+
+const KEEPALIVE_INTERVAL_MS = 15000;
+const BROADCAST_DEBOUNCE_MS = 100;
+
+/** @type {Set<{req: import('express').Request, res: import('express').Response, lastPayload: string|null}>} */
+const streamClients = new Set();
+let stopWatching = null;
+let broadcastTimeout = null;
+let keepaliveInterval = null;
+
+/**
+ * Write one SSE event to a client
+ */
+function sendEvent(res, event, payload) {
+    res.write(`event: ${event}\ndata: ${payload}\n\n`);
+    // Push through SillyTavern's compression middleware if present
+    if (typeof res.flush === 'function') res.flush();
+}
+
+/**
+ * Send the current state to a stream client, skipping unchanged states
+ */
+async function pushStateToClient(client) {
+    const player = await resolvePlayer(client.req);
+    const payload = JSON.stringify(await getPlayerState(player));
+    if (payload === client.lastPayload || !streamClients.has(client)) return;
+    client.lastPayload = payload;
+    sendEvent(client.res, 'state', payload);
+}
+
+/**
+ * Coalesce bursts of changes (one track change touches several properties) into one broadcast
+ */
+function scheduleBroadcast() {
+    clearTimeout(broadcastTimeout);
+    broadcastTimeout = setTimeout(() => {
+        invalidateLookups();
+        for (const client of streamClients) {
+            pushStateToClient(client).catch(error => logError('Pushing state', error));
+        }
+    }, BROADCAST_DEBOUNCE_MS);
+}
+
+/**
+ * Start the single watcher shared by all stream clients
+ */
+function startWatcher() {
+    if (stopWatching) return;
+
+    stopWatching = backend.watch(scheduleBroadcast, (error) => {
+        logError('Player watcher', error);
+        // Without a watcher the stream would never update; close it so clients fall back to polling
+        closeStreams();
+    });
+
+    keepaliveInterval ??= setInterval(() => {
+        for (const client of streamClients) {
+            client.res.write(': keepalive\n\n');
+        }
+    }, KEEPALIVE_INTERVAL_MS);
+}
+
+/**
+ * Stop the watcher once no client is listening
+ */
+function stopWatcher() {
+    clearTimeout(broadcastTimeout);
+    clearInterval(keepaliveInterval);
+    keepaliveInterval = null;
+
+    if (stopWatching) {
+        const stop = stopWatching;
+        stopWatching = null;
+        stop();
+    }
+}
+
+function closeStreams() {
+    for (const client of streamClients) {
+        client.res.end();
+    }
+    streamClients.clear();
+    stopWatcher();
+}
+
+// =============================================================================
+// SPOTIFY ACCOUNT
+// =============================================================================
+
+// Logins per SillyTavern user, readable only by the server's own account
+const TOKEN_VAULT_PATH = new URL('./spotify-tokens.json', import.meta.url);
+const TOKEN_REFRESH_MARGIN_MS = 60000;
+const SPOTIFY_TIMEOUT_MS = 15000;
+
+/** @type {Record<string, {clientId: string, accessToken: string, refreshToken: string, expiresAt: number, scope: string}>} */
+let tokenVault = {};
+// In-flight refresh per user, so tabs polling at the same time share one
+const tokenRefreshes = new Map();
+
+function loadTokenVault() {
+    try {
+        tokenVault = JSON.parse(fs.readFileSync(TOKEN_VAULT_PATH, 'utf8'));
     } catch (error) {
-        console.error('[MPRIS] Error getting player state:', error.message);
-        return { playing: false, available: false, error: error.message };
+        if (error.code !== 'ENOENT') {
+            console.error('[MPRIS] Could not read spotify-tokens.json:', error.message);
+        }
+        tokenVault = {};
+    }
+}
+
+function saveTokenVault() {
+    fs.writeFileSync(TOKEN_VAULT_PATH, JSON.stringify(tokenVault, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Vault key of the requesting user; single-user installs all share SillyTavern's default handle
+ * @param {import('express').Request} req
+ */
+function getUserHandle(req) {
+    return req.user?.profile?.handle || 'default-user';
+}
+
+/**
+ * Call Spotify's token endpoint
+ * @param {Record<string, string>} params - Form fields
+ * @throws {Error} With Spotify's description and the HTTP `status`
+ */
+async function requestSpotifyToken(params) {
+    const response = await fetch(`${config.spotifyAccountsUrl.replace(/\/+$/, '')}/api/token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(params),
+        signal: AbortSignal.timeout(SPOTIFY_TIMEOUT_MS),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.access_token) {
+        const error = new Error(data.error_description || data.error || `Status ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return data;
+}
+
+/**
+ * Save a token response; refreshes may omit the refresh token and scope
+ */
+function storeTokens(handle, clientId, data) {
+    const previous = tokenVault[handle];
+    tokenVault[handle] = {
+        clientId,
+        accessToken: data.access_token,
+        refreshToken: data.refresh_token || previous?.refreshToken || '',
+        expiresAt: Date.now() + data.expires_in * 1000,
+        scope: data.scope ?? previous?.scope ?? '',
+    };
+    saveTokenVault();
+}
+
+async function refreshTokens(handle, entry) {
+    try {
+        const data = await requestSpotifyToken({
+            client_id: entry.clientId,
+            grant_type: 'refresh_token',
+            refresh_token: entry.refreshToken,
+        });
+        storeTokens(handle, entry.clientId, data);
+        return tokenVault[handle].accessToken;
+    } catch (error) {
+        logError('Spotify token refresh', error);
+        // A rejected refresh token never works again; keep the login through network trouble
+        if (error.status === 400 || error.status === 401) {
+            delete tokenVault[handle];
+            saveTokenVault();
+        }
+        return null;
+    }
+}
+
+/**
+ * Access token for a user, refreshed when it is about to expire
+ * @param {string} handle
+ * @param {boolean} [force] - Refresh even if the token looks valid (Spotify rejected it)
+ * @returns {Promise<string|null>} Null when the user has no working login
+ */
+async function getAccessToken(handle, force = false) {
+    const entry = tokenVault[handle];
+    if (!entry) return null;
+    if (!force && Date.now() < entry.expiresAt - TOKEN_REFRESH_MARGIN_MS) return entry.accessToken;
+
+    if (!tokenRefreshes.has(handle)) {
+        tokenRefreshes.set(handle, refreshTokens(handle, entry).finally(() => tokenRefreshes.delete(handle)));
+    }
+    return tokenRefreshes.get(handle);
+}
+
+/**
+ * Login state safe to show the browser
+ */
+function getSessionInfo(handle) {
+    const entry = tokenVault[handle];
+    return { connected: Boolean(entry), scope: entry?.scope || '' };
+}
+
+/**
+ * Forward a Web API request with the user's token, retrying once with a fresh token on 401
+ * @param {import('express').Request} req - Mounted below /spotify/api, so req.url is the API path
+ * @param {import('express').Response} res
+ */
+async function proxySpotifyRequest(req, res) {
+    const handle = getUserHandle(req);
+    let token = await getAccessToken(handle);
+    if (!token) {
+        return res.status(401).json({ error: 'Not connected to Spotify' });
+    }
+
+    const hasBody = req.method !== 'GET' && req.method !== 'HEAD' && req.body && Object.keys(req.body).length > 0;
+    const send = (accessToken) => fetch(config.spotifyApiUrl.replace(/\/+$/, '') + req.url, {
+        method: req.method,
+        headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            ...(hasBody ? { 'Content-Type': 'application/json' } : {}),
+        },
+        body: hasBody ? JSON.stringify(req.body) : undefined,
+        signal: AbortSignal.timeout(SPOTIFY_TIMEOUT_MS),
+    });
+
+    try {
+        let response = await send(token);
+        if (response.status === 401) {
+            token = await getAccessToken(handle, true);
+            if (!token) {
+                return res.status(401).json({ error: 'Spotify session expired' });
+            }
+            response = await send(token);
+        }
+
+        res.status(response.status);
+        for (const header of ['Content-Type', 'Retry-After']) {
+            const value = response.headers.get(header);
+            if (value) res.set(header, value);
+        }
+        res.send(Buffer.from(await response.arrayBuffer()));
+    } catch (error) {
+        logError('Spotify API request', error);
+        res.status(502).json({ error: 'Could not reach Spotify' });
     }
 }
 
+/**
+ * Page the Spotify login popup returns to. It hands code and state to the extension
+ * in the opener, which checks the state; nothing from the URL is rendered as HTML.
+ * @param {string} nonce - Allows only this page's own inline script
+ */
+function renderCallbackPage(nonce) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Spotify Login</title>
+<style nonce="${nonce}">
+body { font-family: sans-serif; background: #121212; color: #eee; margin: 2em; line-height: 1.5; }
+textarea { width: 100%; height: 6em; background: #222; color: #eee; border: 1px solid #444; }
+</style>
+</head>
+<body>
+<p id="message">Finishing login...</p>
+<textarea id="url" readonly hidden></textarea>
+<script nonce="${nonce}">
+const params = new URLSearchParams(location.search);
+const result = { type: 'spotify-auth-code', code: params.get('code'), state: params.get('state'), error: params.get('error') };
+if (window.opener) {
+    window.opener.postMessage(result, location.origin);
+    window.close();
+}
+// Still open: no opener (e.g. a different browser) or closing was refused
+const message = document.getElementById('message');
+const url = document.getElementById('url');
+message.textContent = result.error
+    ? 'Spotify login failed: ' + result.error
+    : 'Copy this address into "Paste Redirect URL" in the Spotify extension settings to finish connecting.';
+if (!result.error) {
+    url.value = location.href;
+    url.hidden = false;
+    url.select();
+}
+</script>
+</body>
+</html>`;
+}
+
 /**
  * Initialize the plugin and register routes
  * @param {import('express').Router} router - Express router for plugin routes
@@ -95,47 +1584,67 @@ async function getPlayerState() {
 export async function init(router) {
     console.log('[MPRIS] Initializing MPRIS Media Controller plugin...');
 
-    // Check if playerctl is available
-    try {
-        await execAsync('which playerctl');
-        console.log('[MPRIS] playerctl found, plugin ready.');
-    } catch {
-        console.error('[MPRIS] WARNING: playerctl not found! Install it with: sudo pacman -S playerctl (Arch) or sudo apt install playerctl (Debian/Ubuntu)');
-    }
+    loadConfig();
+    loadTokenVault();
+    backend = await selectBackend();
+
+    // Players belong to the host; read-only users keep status, lyrics and art
+    router.use((req, res, next) => {
+        if (isReadOnlyRequest(req) || canControl(req)) return next();
+        res.status(403).json({ error: 'Your account may not control the music player' });
+    });
+
+    // Commands change player state; make the next lookup fetch it fresh
+    router.use((req, res, next) => {
+        if (req.method === 'POST') {
+            const startedAt = Date.now();
+            res.on('finish', () => {
+                invalidateLookups();
+                if (!req.path.startsWith('/spotify/')) {
+                    lastCommand = { route: req.path, status: res.statusCode, durationMs: Date.now() - startedAt, at: new Date().toISOString() };
+                }
+            });
+        }
+        next();
+    });
+
+    // Every route accepts an optional `player` and `priority` (query for GET, JSON body for POST)
+    // so that status and controls always resolve to the same player.
 
     // GET /api/plugins/mpris/status - Get current player state
     router.get('/status', async (req, res) => {
-        const state = await getPlayerState();
+        const player = await resolvePlayer(req);
+        const state = await getPlayerState(player);
         res.json(state);
     });
 
     // POST /api/plugins/mpris/play-pause - Toggle play/pause
     router.post('/play-pause', async (req, res) => {
-        await playerctl('play-pause');
+        await backend.command(await resolvePlayer(req), 'play-pause');
         res.json({ success: true });
     });
 
     // POST /api/plugins/mpris/play - Start playback
     router.post('/play', async (req, res) => {
-        await playerctl('play');
+        await backend.command(await resolvePlayer(req), 'play');
         res.json({ success: true });
     });
 
     // POST /api/plugins/mpris/pause - Pause playback
     router.post('/pause', async (req, res) => {
-        await playerctl('pause');
+        await backend.command(await resolvePlayer(req), 'pause');
         res.json({ success: true });
     });
 
     // POST /api/plugins/mpris/next - Skip to next track
     router.post('/next', async (req, res) => {
-        await playerctl('next');
+        await backend.command(await resolvePlayer(req), 'next');
         res.json({ success: true });
     });
 
     // POST /api/plugins/mpris/previous - Go to previous track
     router.post('/previous', async (req, res) => {
-        await playerctl('previous');
+        await backend.command(await resolvePlayer(req), 'previous');
         res.json({ success: true });
     });
 
@@ -143,7 +1652,7 @@ export async function init(router) {
     router.post('/seek', async (req, res) => {
         const { position } = req.body;
         if (typeof position === 'number') {
-            await playerctl(`position ${position}`);
+            await backend.seek(await resolvePlayer(req), position);
             res.json({ success: true });
         } else {
             res.status(400).json({ error: 'Position required' });
@@ -154,7 +1663,7 @@ export async function init(router) {
     router.post('/volume', async (req, res) => {
         const { volume } = req.body;
         if (typeof volume === 'number') {
-            await playerctl(`volume ${volume}`);
+            await backend.setVolume(await resolvePlayer(req), volume);
             res.json({ success: true });
         } else {
             res.status(400).json({ error: 'Volume required' });
@@ -163,26 +1672,218 @@ export async function init(router) {
 
     // POST /api/plugins/mpris/shuffle - Toggle shuffle
     router.post('/shuffle', async (req, res) => {
-        await playerctl('shuffle Toggle');
+        await backend.toggleShuffle(await resolvePlayer(req));
         res.json({ success: true });
     });
 
+    // POST /api/plugins/mpris/open - Open a URI or file in the player (body: { uri })
+    router.post('/open', async (req, res) => {
+        const uri = toPlayerUri(req.body.uri);
+        if (uri) {
+            await backend.open(await resolvePlayer(req), uri);
+            res.json({ success: true, uri });
+        } else {
+            res.status(400).json({ error: 'URI or absolute file path required' });
+        }
+    });
+
     // POST /api/plugins/mpris/loop - Cycle loop mode (None, Track, Playlist)
     router.post('/loop', async (req, res) => {
-        // Get current loop status and cycle
-        const current = await playerctl('loop');
-        const modes = ['None', 'Track', 'Playlist'];
-        const currentIndex = modes.indexOf(current);
-        const nextMode = modes[(currentIndex + 1) % modes.length];
-        await playerctl(`loop ${nextMode}`);
+        const nextMode = await backend.cycleLoop(await resolvePlayer(req));
         res.json({ success: true, mode: nextMode });
     });
 
-    // GET /api/plugins/mpris/players - List available players
+    // GET /api/plugins/mpris/events - Server-Sent Events stream of state changes
+    router.get('/events', async (req, res) => {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no',
+        });
+
+        const client = { req, res, lastPayload: null };
+        streamClients.add(client);
+        startWatcher();
+
+        req.on('close', () => {
+            streamClients.delete(client);
+            if (streamClients.size === 0) {
+                stopWatcher();
+            }
+        });
+
+        await pushStateToClient(client);
+    });
+
+    // GET /api/plugins/mpris/lyrics - Find lyrics for the current (or given artist/title) track
+    router.get('/lyrics', async (req, res) => {
+        try {
+            // Without a player target (Spotify API mode) only the lyrics folder is searched
+            const player = req.query.player !== undefined || req.query.priority !== undefined ? await resolvePlayer(req) : null;
+            const artist = typeof req.query.artist === 'string' ? req.query.artist : '';
+            const title = typeof req.query.title === 'string' ? req.query.title : '';
+            // Music folder tracks are identified by their library id; an unreadable folder just means no embedded lyrics
+            const library = typeof req.query.track === 'string' && config.musicDir ? await getLibrary().catch(() => null) : null;
+            const track = library?.get(req.query.track) ?? null;
+            res.json(await findLyrics(player, artist, title, track?.path ?? null));
+        } catch (error) {
+            logError('Finding lyrics', error);
+            res.status(500).json({ error: 'Lyrics unavailable' });
+        }
+    });
+
+    // GET /api/plugins/mpris/art?url=<reported artUrl>&size=<px> - Serve album art the browser can load
+    router.get('/art', async (req, res) => {
+        const url = typeof req.query.url === 'string' ? req.query.url : '';
+        if (!reportedArtUrls.has(url)) {
+            return res.status(404).json({ error: 'Unknown album art' });
+        }
+        try {
+            sendArt(req, res, await getArt(url, parseArtSize(req.query.size)));
+        } catch {
+            // The reason can name local files, so it stays on the server
+            res.status(404).json({ error: 'Album art unavailable' });
+        }
+    });
+
+    // GET /api/plugins/mpris/library - Tracks in the music folder (?refresh=1 rescans now)
+    router.get('/library', async (req, res) => {
+        if (!config.musicDir) {
+            return res.json({ configured: false, tracks: [] });
+        }
+        try {
+            const tracks = await getLibrary(req.query.refresh === '1');
+            res.json({ configured: true, scannedAt: libraryScannedAt, tracks: [...tracks.values()].map(toPublicTrack) });
+        } catch (error) {
+            logError('Scanning music folder', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // GET /api/plugins/mpris/library/stream/:id - Audio file of a track, with Range support for seeking
+    router.get('/library/stream/:id', async (req, res) => {
+        const track = config.musicDir ? (await getLibrary().catch(() => libraryTracks)).get(req.params.id) : null;
+        if (!track) {
+            return res.status(404).json({ error: 'Unknown track' });
+        }
+        res.sendFile(track.path, { dotfiles: 'allow', headers: { 'Cache-Control': 'private, no-cache' } }, (error) => {
+            // Aborted requests (skipping, seeking) need no answer
+            if (error && !res.headersSent) res.status(error.status || 404).end();
+        });
+    });
+
+    // GET /api/plugins/mpris/library/art/:id?size=<px> - Embedded picture or folder cover of a track
+    router.get('/library/art/:id', async (req, res) => {
+        const track = config.musicDir ? (await getLibrary().catch(() => libraryTracks)).get(req.params.id) : null;
+        if (!track?.hasArt) {
+            return res.status(404).json({ error: 'No album art' });
+        }
+        try {
+            sendArt(req, res, await getLibraryArt(track, parseArtSize(req.query.size)));
+        } catch {
+            res.status(404).json({ error: 'Album art unavailable' });
+        }
+    });
+
+    // GET /api/plugins/mpris/spotify/callback - Redirect URI page for the Spotify login popup
+    router.get('/spotify/callback', (req, res) => {
+        const nonce = randomBytes(16).toString('base64');
+        res.set({
+            'Content-Security-Policy': `default-src 'none'; script-src 'nonce-${nonce}'; style-src 'nonce-${nonce}'`,
+            // Keep the one-time code out of caches and Referer headers
+            'Cache-Control': 'no-store',
+            'Referrer-Policy': 'no-referrer',
+        });
+        res.type('html').send(renderCallbackPage(nonce));
+    });
+
+    // GET /api/plugins/mpris/spotify/session - Whether the requesting user has a Spotify login
+    router.get('/spotify/session', (req, res) => {
+        res.json(getSessionInfo(getUserHandle(req)));
+    });
+
+    // POST /api/plugins/mpris/spotify/token - Redeem a PKCE authorization code and keep the tokens
+    router.post('/spotify/token', async (req, res) => {
+        const { clientId, code, codeVerifier, redirectUri } = req.body || {};
+        if (![clientId, code, codeVerifier, redirectUri].every(value => typeof value === 'string' && value)) {
+            return res.status(400).json({ error: 'clientId, code, codeVerifier and redirectUri are required' });
+        }
+
+        const handle = getUserHandle(req);
+        try {
+            const data = await requestSpotifyToken({
+                client_id: clientId,
+                grant_type: 'authorization_code',
+                code,
+                redirect_uri: redirectUri,
+                code_verifier: codeVerifier,
+            });
+            storeTokens(handle, clientId, data);
+            res.json(getSessionInfo(handle));
+        } catch (error) {
+            res.status(error.status ? 400 : 502).json({ error: error.message });
+        }
+    });
+
+    // POST /api/plugins/mpris/spotify/import - Take over a refresh token the browser kept before the vault existed
+    router.post('/spotify/import', async (req, res) => {
+        const { clientId, refreshToken } = req.body || {};
+        if (typeof clientId !== 'string' || !clientId || typeof refreshToken !== 'string' || !refreshToken) {
+            return res.status(400).json({ error: 'clientId and refreshToken are required' });
+        }
+
+        const handle = getUserHandle(req);
+        try {
+            const data = await requestSpotifyToken({ client_id: clientId, grant_type: 'refresh_token', refresh_token: refreshToken });
+            storeTokens(handle, clientId, data);
+            res.json(getSessionInfo(handle));
+        } catch (error) {
+            res.status(error.status ? 400 : 502).json({ error: error.message });
+        }
+    });
+
+    // POST /api/plugins/mpris/spotify/logout - Forget the requesting user's Spotify login
+    router.post('/spotify/logout', (req, res) => {
+        const handle = getUserHandle(req);
+        if (tokenVault[handle]) {
+            delete tokenVault[handle];
+            saveTokenVault();
+        }
+        res.json(getSessionInfo(handle));
+    });
+
+    // /api/plugins/mpris/spotify/api/<path> - Spotify Web API (any method) with the user's token
+    router.use('/spotify/api', proxySpotifyRequest);
+
+    // GET /api/plugins/mpris/health - Everything the settings' Diagnostics section checks
+    router.get('/health', async (req, res) => {
+        const [playerctlInfo, dbus, players] = await Promise.all([
+            probePlayerctl(),
+            probeDBus(),
+            listPlayers().catch(() => []),
+        ]);
+        res.json({
+            backend: backend.name,
+            configuredBackend: config.backend,
+            playerctl: playerctlInfo,
+            dbus,
+            players,
+            lastCommand,
+            errors: recentErrors,
+        });
+    });
+
+    // GET /api/plugins/mpris/access - Whether the requesting user may control the players
+    router.get('/access', (req, res) => {
+        res.json({ control: canControl(req), policy: config.controlAccess });
+    });
+
+    // GET /api/plugins/mpris/players - List available players and the one this request resolves to
     router.get('/players', async (req, res) => {
-        const output = await playerctl('--list-all');
-        const players = output ? output.split('\n').filter(p => p) : [];
-        res.json({ players });
+        const players = await listPlayers();
+        const active = await resolvePlayer(req);
+        res.json({ players, active, backend: backend.name });
     });
 
     console.log('[MPRIS] Plugin routes registered at /api/plugins/mpris/');
@@ -190,4 +1891,7 @@ export async function init(router) {
 
 export function exit() {
     console.log('[MPRIS] Plugin unloading...');
+    closeStreams();
+    busConnection?.then(bus => bus.close()).catch(() => { });
+    busConnection = null;
 }
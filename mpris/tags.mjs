@@ -0,0 +1,557 @@
+/**
+ * Minimal audio tag reader for the MPRIS plugin's music library
+ * Reads title, artist, album, track numbers and the cover picture from ID3 (MP3),
+ * FLAC, Ogg Vorbis/Opus and MP4 (M4A) files without external modules. Only tag
+ * headers are read; audio data, and pictures unless asked for, are skipped.
+ */
+
+import fs from 'node:fs';
+
+// Larger tag blocks are cut short; pictures beyond this are ignored
+const MAX_BLOCK_SIZE = 16 * 1024 * 1024;
+const FRONT_COVER = 3;
+
+/**
+ * @typedef {object} AudioTags
+ * @property {string} [title]
+ * @property {string} [artist]
+ * @property {string} [album]
+ * @property {string} [albumArtist]
+ * @property {number} [track]
+ * @property {number} [disc]
+ * @property {boolean} hasPicture - Whether the file embeds a picture
+ * @property {{mime: string, type?: number, data: Buffer}} [picture] - Only read when requested
+ */
+
+/**
+ * Random access to an open file
+ */
+class Source {
+    /**
+     * @param {fs.promises.FileHandle} handle
+     * @param {number} size - File size in bytes
+     */
+    constructor(handle, size) {
+        this.handle = handle;
+        this.size = size;
+    }
+
+    /**
+     * Read up to `length` bytes; fewer come back at the end of the file
+     * @param {number} position
+     * @param {number} length
+     * @returns {Promise<Buffer>}
+     */
+    async read(position, length) {
+        length = Math.max(0, Math.min(length, this.size - position));
+        if (!length) return Buffer.alloc(0);
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await this.handle.read(buffer, 0, length, position);
+        return buffer.subarray(0, bytesRead);
+    }
+}
+
+/**
+ * Read the tags of an audio file
+ * @param {string} filePath
+ * @param {{picture?: boolean}} [options] - Set `picture` to also read the cover picture
+ * @returns {Promise<AudioTags>} Only the fields the file has are set
+ */
+export async function readTags(filePath, { picture = false } = {}) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const source = new Source(handle, (await handle.stat()).size);
+        const tags = { hasPicture: false };
+
+        // FLAC and other files may start with an ID3 tag too
+        let offset = 0;
+        while ((await source.read(offset, 3)).toString('latin1') === 'ID3') {
+            offset = await readId3(source, offset, tags, picture);
+        }
+
+        const magic = await source.read(offset, 12);
+        if (magic.toString('latin1', 0, 4) === 'fLaC') {
+            await readFlac(source, offset + 4, tags, picture);
+        } else if (magic.toString('latin1', 0, 4) === 'OggS') {
+            await readOgg(source, offset, tags, picture);
+        } else if (magic.toString('latin1', 4, 8) === 'ftyp') {
+            await readMp4(source, tags, picture);
+        } else if (!tags.title) {
+            await readId3v1(source, tags);
+        }
+        return tags;
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Set a text or number field, ignoring empty values
+ * @param {AudioTags} tags
+ * @param {string} name
+ * @param {string|number} value
+ */
+function setTag(tags, name, value) {
+    if (name === 'track' || name === 'disc') {
+        // "3/12" means track 3 of 12
+        const number = typeof value === 'number' ? value : parseInt(value, 10);
+        if (number > 0) tags[name] = number;
+        return;
+    }
+    const text = String(value).replace(/\0+$/, '').trim();
+    if (text) tags[name] = text;
+}
+
+/**
+ * Keep the front cover if there is one, otherwise the first picture
+ * @param {AudioTags} tags
+ * @param {{mime: string, type?: number, data: Buffer}|null} picture
+ */
+function choosePicture(tags, picture) {
+    if (!picture?.data.length) return;
+    if (!tags.picture || (picture.type === FRONT_COVER && tags.picture.type !== FRONT_COVER)) {
+        tags.picture = picture;
+    }
+}
+
+// =============================================================================
+// ID3
+// =============================================================================
+
+const ID3_FRAMES = {
+    TIT2: 'title', TT2: 'title',
+    TPE1: 'artist', TP1: 'artist',
+    TALB: 'album', TAL: 'album',
+    TPE2: 'albumArtist', TP2: 'albumArtist',
+    TRCK: 'track', TRK: 'track',
+    TPOS: 'disc', TPA: 'disc',
+    APIC: 'picture', PIC: 'picture',
+};
+
+/**
+ * Read a 28-bit "syncsafe" integer (7 bits per byte)
+ */
+function readSyncsafe(buffer, offset) {
+    return (buffer[offset] & 0x7f) << 21 | (buffer[offset + 1] & 0x7f) << 14 | (buffer[offset + 2] & 0x7f) << 7 | (buffer[offset + 3] & 0x7f);
+}
+
+/**
+ * Undo ID3 unsynchronisation (0xFF 0x00 → 0xFF)
+ * @param {Buffer} buffer
+ */
+function removeUnsync(buffer) {
+    const output = Buffer.alloc(buffer.length);
+    let length = 0;
+    for (let i = 0; i < buffer.length; i++) {
+        output[length++] = buffer[i];
+        if (buffer[i] === 0xff && buffer[i + 1] === 0x00) i++;
+    }
+    return output.subarray(0, length);
+}
+
+/**
+ * Decode ID3 text in one of its four encodings
+ * @param {Buffer} buffer
+ * @param {number} encoding - 0 Latin-1, 1 UTF-16 with BOM, 2 UTF-16BE, 3 UTF-8
+ */
+function decodeId3String(buffer, encoding) {
+    if (encoding === 1 || encoding === 2) {
+        let bytes = Buffer.from(buffer.subarray(0, buffer.length & ~1));
+        const bigEndian = encoding === 2 || (bytes[0] === 0xfe && bytes[1] === 0xff);
+        if (bigEndian) bytes = bytes.swap16();
+        return bytes.toString('utf16le').replace(/\uFEFF/g, '');
+    }
+    return buffer.toString(encoding === 3 ? 'utf8' : 'latin1');
+}
+
+/**
+ * Find the end of a null-terminated string (two zero bytes, aligned, for UTF-16)
+ * @returns {number} Index of the terminator, or the buffer length
+ */
+function findTerminator(buffer, start, encoding) {
+    if (encoding === 1 || encoding === 2) {
+        for (let i = start; i + 1 < buffer.length; i += 2) {
+            if (buffer[i] === 0 && buffer[i + 1] === 0) return i;
+        }
+        return buffer.length;
+    }
+    const index = buffer.indexOf(0, start);
+    return index === -1 ? buffer.length : index;
+}
+
+/**
+ * Parse a text frame; ID3v2.4 separates multiple values with null characters
+ * @param {Buffer} data
+ */
+function parseId3Text(data) {
+    return decodeId3String(data.subarray(1), data[0]).split('\0').filter(Boolean).join(', ');
+}
+
+/**
+ * Parse an APIC (v2.3/2.4) or PIC (v2.2) frame
+ * @param {Buffer} data
+ * @param {number} version - Major ID3v2 version
+ */
+function parseId3Picture(data, version) {
+    const encoding = data[0];
+    let mime;
+    let position;
+    if (version === 2) {
+        // Three-letter image format instead of a MIME type
+        mime = 'image/' + data.toString('latin1', 1, 4).toLowerCase().replace('jpg', 'jpeg');
+        position = 4;
+    } else {
+        const mimeEnd = findTerminator(data, 1, 0);
+        mime = data.toString('latin1', 1, mimeEnd);
+        position = mimeEnd + 1;
+    }
+    const type = data[position];
+    const descriptionEnd = findTerminator(data, position + 1, encoding);
+    const start = descriptionEnd + (encoding === 1 || encoding === 2 ? 2 : 1);
+    return { mime, type, data: data.subarray(start) };
+}
+
+/**
+ * Read an ID3v2 tag
+ * @param {Source} source
+ * @param {number} offset - Where the tag starts
+ * @param {AudioTags} tags
+ * @param {boolean} wantPicture
+ * @returns {Promise<number>} Where the tag ends
+ */
+async function readId3(source, offset, tags, wantPicture) {
+    const header = await source.read(offset, 10);
+    if (header.length < 10) return source.size;
+    const version = header[3];
+    const flags = header[5];
+    const size = readSyncsafe(header, 6);
+    const end = offset + 10 + size + (flags & 0x10 ? 10 : 0);
+    if (version < 2 || version > 4) return end;
+
+    // Frames are read one at a time, so pictures can be skipped without reading them.
+    // Tag-wide unsynchronisation (v2.2/2.3) changes the frame offsets, so that needs the whole tag.
+    let body = { size, read: (position, length) => source.read(offset + 10 + position, Math.min(length, size - position)) };
+    if (flags & 0x80 && version < 4) {
+        const data = removeUnsync(await source.read(offset + 10, Math.min(size, MAX_BLOCK_SIZE)));
+        body = { size: data.length, read: async (position, length) => data.subarray(position, position + length) };
+    }
+
+    let position = 0;
+    if (flags & 0x40 && version > 2) {
+        // Skip the extended header
+        const extended = await body.read(0, 4);
+        position = version === 4 ? readSyncsafe(extended, 0) : extended.readUInt32BE(0) + 4;
+    }
+
+    const idLength = version === 2 ? 3 : 4;
+    const headerLength = version === 2 ? 6 : 10;
+    while (position + headerLength <= body.size) {
+        const frameHeader = await body.read(position, headerLength);
+        // Padding
+        if (frameHeader.length < headerLength || frameHeader[0] === 0) break;
+
+        const id = frameHeader.toString('latin1', 0, idLength);
+        let frameSize;
+        if (version === 2) frameSize = frameHeader.readUIntBE(3, 3);
+        else if (version === 4) frameSize = readSyncsafe(frameHeader, 4);
+        else frameSize = frameHeader.readUInt32BE(4);
+        const formatFlags = version === 2 ? 0 : frameHeader[9];
+        const dataStart = position + headerLength;
+        position = dataStart + frameSize;
+        if (frameSize <= 0 || position > body.size) break;
+
+        const name = ID3_FRAMES[id];
+        if (!name) continue;
+        // Compressed or encrypted frames
+        if ((version === 3 && formatFlags & 0xc0) || (version === 4 && formatFlags & 0x0c)) continue;
+        if (name === 'picture') {
+            tags.hasPicture = true;
+            if (!wantPicture) continue;
+        }
+
+        let data = await body.read(dataStart, Math.min(frameSize, MAX_BLOCK_SIZE));
+        if (version === 4) {
+            // Data length indicator, then per-frame unsynchronisation
+            if (formatFlags & 0x01) data = data.subarray(4);
+            if (formatFlags & 0x02) data = removeUnsync(data);
+        }
+        if (!data.length) continue;
+
+        if (name === 'picture') {
+            choosePicture(tags, parseId3Picture(data, version));
+        } else {
+            setTag(tags, name, parseId3Text(data));
+        }
+    }
+    return end;
+}
+
+/**
+ * Read the fixed 128-byte ID3v1 tag at the end of older MP3 files
+ * @param {Source} source
+ * @param {AudioTags} tags
+ */
+async function readId3v1(source, tags) {
+    if (source.size < 128) return;
+    const data = await source.read(source.size - 128, 128);
+    if (data.toString('latin1', 0, 3) !== 'TAG') return;
+    setTag(tags, 'title', data.toString('latin1', 3, 33));
+    setTag(tags, 'artist', data.toString('latin1', 33, 63));
+    setTag(tags, 'album', data.toString('latin1', 63, 93));
+    // ID3v1.1 keeps the track number in the last byte of the comment
+    if (data[125] === 0 && data[126]) setTag(tags, 'track', data[126]);
+}
+
+// =============================================================================
+// FLAC AND OGG
+// =============================================================================
+
+const VORBIS_FIELDS = {
+    TITLE: 'title',
+    ARTIST: 'artist',
+    ALBUM: 'album',
+    ALBUMARTIST: 'albumArtist',
+    'ALBUM ARTIST': 'albumArtist',
+    TRACKNUMBER: 'track',
+    DISCNUMBER: 'disc',
+};
+
+/**
+ * Parse a FLAC PICTURE block, which METADATA_BLOCK_PICTURE comments also use
+ * @param {Buffer} data
+ */
+function parseFlacPicture(data) {
+    try {
+        let position = 0;
+        const type = data.readUInt32BE(position);
+        const mimeLength = data.readUInt32BE(position + 4);
+        position += 8;
+        const mime = data.toString('latin1', position, position + mimeLength);
+        position += mimeLength;
+        position += 4 + data.readUInt32BE(position);
+        // Width, height, colour depth and palette size
+        position += 16;
+        const length = data.readUInt32BE(position);
+        position += 4;
+        return { mime, type, data: data.subarray(position, position + length) };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Parse a Vorbis comment block (FLAC, Ogg Vorbis and Opus)
+ * @param {Buffer} data - Starting at the vendor string length
+ * @param {AudioTags} tags
+ * @param {boolean} wantPicture
+ */
+function parseVorbisComments(data, tags, wantPicture) {
+    // Fields may repeat, e.g. one ARTIST per artist
+    const values = {};
+    try {
+        let position = 4 + data.readUInt32LE(0);
+        const count = data.readUInt32LE(position);
+        position += 4;
+        for (let i = 0; i < count && position + 4 <= data.length; i++) {
+            const length = data.readUInt32LE(position);
+            // A comment running past the block is cut off, not a value
+            if (position + 4 + length > data.length) break;
+            const comment = data.subarray(position + 4, position + 4 + length);
+            position += 4 + length;
+
+            const separator = comment.indexOf(0x3d);
+            if (separator <= 0) continue;
+            const key = comment.toString('latin1', 0, separator).toUpperCase();
+            if (key === 'METADATA_BLOCK_PICTURE') {
+                tags.hasPicture = true;
+                if (wantPicture) choosePicture(tags, parseFlacPicture(Buffer.from(comment.toString('latin1', separator + 1), 'base64')));
+                continue;
+            }
+            const name = VORBIS_FIELDS[key];
+            if (!name) continue;
+            (values[name] ??= []).push(comment.toString('utf8', separator + 1).trim());
+        }
+    } catch {
+        // Truncated block; keep what was read
+    }
+    for (const [name, list] of Object.entries(values)) {
+        setTag(tags, name, list.filter(Boolean).join(', '));
+    }
+}
+
+/**
+ * Read the metadata blocks of a FLAC stream
+ * @param {Source} source
+ * @param {number} position - Just after the "fLaC" marker
+ * @param {AudioTags} tags
+ * @param {boolean} wantPicture
+ */
+async function readFlac(source, position, tags, wantPicture) {
+    for (;;) {
+        const header = await source.read(position, 4);
+        if (header.length < 4) return;
+        const last = header[0] & 0x80;
+        const type = header[0] & 0x7f;
+        const length = header.readUIntBE(1, 3);
+        const start = position + 4;
+        position = start + length;
+
+        if (type === 4) {
+            parseVorbisComments(await source.read(start, Math.min(length, MAX_BLOCK_SIZE)), tags, wantPicture);
+        } else if (type === 6) {
+            tags.hasPicture = true;
+            if (wantPicture && length <= MAX_BLOCK_SIZE) {
+                choosePicture(tags, parseFlacPicture(await source.read(start, length)));
+            }
+        }
+        if (last) return;
+    }
+}
+
+/**
+ * Read the comment header of an Ogg Vorbis or Opus stream (its second packet)
+ * @param {Source} source
+ * @param {number} position - First page
+ * @param {AudioTags} tags
+ * @param {boolean} wantPicture
+ */
+async function readOgg(source, position, tags, wantPicture) {
+    const packets = [];
+    let segments = [];
+    let serial = null;
+    let bytesRead = 0;
+
+    while (packets.length < 2 && bytesRead < MAX_BLOCK_SIZE) {
+        const header = await source.read(position, 27);
+        if (header.length < 27 || header.toString('latin1', 0, 4) !== 'OggS') break;
+        const pageSerial = header.readUInt32LE(14);
+        const lacing = await source.read(position + 27, header[26]);
+        const bodyStart = position + 27 + lacing.length;
+        const bodyLength = lacing.reduce((sum, value) => sum + value, 0);
+        position = bodyStart + bodyLength;
+
+        // Only follow the first logical stream
+        serial ??= pageSerial;
+        if (pageSerial !== serial) continue;
+
+        const body = await source.read(bodyStart, bodyLength);
+        bytesRead += body.length;
+        let offset = 0;
+        for (const value of lacing) {
+            segments.push(body.subarray(offset, offset + value));
+            offset += value;
+            // A segment shorter than 255 bytes ends the packet
+            if (value < 255) {
+                packets.push(Buffer.concat(segments));
+                segments = [];
+                if (packets.length === 2) break;
+            }
+        }
+    }
+
+    const comments = packets[1];
+    if (!comments) return;
+    if (comments.toString('latin1', 0, 7) === '\x03vorbis') {
+        parseVorbisComments(comments.subarray(7), tags, wantPicture);
+    } else if (comments.toString('latin1', 0, 8) === 'OpusTags') {
+        parseVorbisComments(comments.subarray(8), tags, wantPicture);
+    }
+}
+
+// =============================================================================
+// MP4
+// =============================================================================
+
+const MP4_FIELDS = {
+    '\xa9nam': 'title',
+    '\xa9ART': 'artist',
+    '\xa9alb': 'album',
+    'aART': 'albumArtist',
+    'trkn': 'track',
+    'disk': 'disc',
+    'covr': 'picture',
+};
+
+// Well-known types of "data" atoms
+const MP4_TYPE_PNG = 14;
+
+/**
+ * Iterate the atoms (boxes) between two offsets
+ * @param {Source} source
+ * @param {number} start
+ * @param {number} end
+ * @returns {AsyncGenerator<{type: string, start: number, end: number}>} Content range of each atom
+ */
+async function* readAtoms(source, start, end) {
+    let position = start;
+    while (position + 8 <= end) {
+        const header = await source.read(position, 16);
+        if (header.length < 8) return;
+        let size = header.readUInt32BE(0);
+        let headerSize = 8;
+        if (size === 1) {
+            if (header.length < 16) return;
+            size = Number(header.readBigUInt64BE(8));
+            headerSize = 16;
+        } else if (size === 0) {
+            // Extends to the end of the file
+            size = end - position;
+        }
+        if (size < headerSize) return;
+        yield { type: header.toString('latin1', 4, 8), start: position + headerSize, end: Math.min(position + size, end) };
+        position += size;
+    }
+}
+
+/**
+ * @param {Source} source
+ * @param {{start: number, end: number}|null} parent
+ * @param {string} type
+ */
+async function findAtom(source, parent, type) {
+    if (!parent) return null;
+    for await (const atom of readAtoms(source, parent.start, parent.end)) {
+        if (atom.type === type) return atom;
+    }
+    return null;
+}
+
+/**
+ * Read iTunes-style metadata (moov/udta/meta/ilst)
+ * @param {Source} source
+ * @param {AudioTags} tags
+ * @param {boolean} wantPicture
+ */
+async function readMp4(source, tags, wantPicture) {
+    const moov = await findAtom(source, { start: 0, end: source.size }, 'moov');
+    let meta = await findAtom(source, await findAtom(source, moov, 'udta'), 'meta');
+    meta ??= await findAtom(source, moov, 'meta');
+    if (!meta) return;
+    // "meta" is a full box: version and flags come before its children
+    const ilst = await findAtom(source, { start: meta.start + 4, end: meta.end }, 'ilst');
+    if (!ilst) return;
+
+    for await (const item of readAtoms(source, ilst.start, ilst.end)) {
+        const name = MP4_FIELDS[item.type];
+        if (!name) continue;
+        if (name === 'picture') {
+            tags.hasPicture = true;
+            if (!wantPicture) continue;
+        }
+
+        const data = await findAtom(source, item, 'data');
+        // Type indicator and locale come before the value
+        if (!data || data.end - data.start <= 8) continue;
+        const dataType = (await source.read(data.start, 4)).readUInt32BE(0) & 0xffffff;
+        const value = await source.read(data.start + 8, Math.min(data.end - data.start - 8, MAX_BLOCK_SIZE));
+
+        if (name === 'picture') {
+            choosePicture(tags, { mime: dataType === MP4_TYPE_PNG ? 'image/png' : 'image/jpeg', data: value });
+        } else if (name === 'track' || name === 'disc') {
+            // Reserved, number, total
+            if (value.length >= 4) setTag(tags, name, value.readUInt16BE(2));
+        } else {
+            setTag(tags, name, value.toString('utf8'));
+        }
+    }
+}
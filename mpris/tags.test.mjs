@@ -0,0 +1,337 @@
+/**
+ * Tests for the audio tag reader
+ * Run with: node --test mpris/
+ *
+ * The fixture files are built here, byte by byte, so each test shows exactly
+ * which tag layout it feeds the parser.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { readTags } from './tags.mjs';
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+const JPEG = Buffer.from('ffd8ffe000104a46494600010100', 'hex');
+
+let fixtureDir;
+
+before(() => {
+    fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mpris-tags-test-'));
+});
+
+after(() => {
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+});
+
+/**
+ * Write a fixture file
+ * @param {string} name
+ * @param {Buffer} data
+ * @returns {string} Its path
+ */
+function writeFixture(name, data) {
+    const filePath = path.join(fixtureDir, name);
+    fs.writeFileSync(filePath, data);
+    return filePath;
+}
+
+function uint32BE(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value);
+    return buffer;
+}
+
+function uint32LE(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(value);
+    return buffer;
+}
+
+function syncsafe(value) {
+    return Buffer.from([(value >> 21) & 0x7f, (value >> 14) & 0x7f, (value >> 7) & 0x7f, value & 0x7f]);
+}
+
+// =============================================================================
+// BUILDERS
+// =============================================================================
+
+/**
+ * ID3v2 tag
+ * @param {number} version - 2, 3 or 4
+ * @param {[string, Buffer][]} frames - Frame ID and data
+ */
+function id3(version, frames) {
+    const body = Buffer.concat(frames.map(([id, data]) => {
+        if (version === 2) {
+            const size = Buffer.alloc(3);
+            size.writeUIntBE(data.length, 0, 3);
+            return Buffer.concat([Buffer.from(id, 'latin1'), size, data]);
+        }
+        const size = version === 4 ? syncsafe(data.length) : uint32BE(data.length);
+        return Buffer.concat([Buffer.from(id, 'latin1'), size, Buffer.alloc(2), data]);
+    }));
+    const header = Buffer.concat([Buffer.from('ID3', 'latin1'), Buffer.from([version, 0, 0]), syncsafe(body.length)]);
+    return Buffer.concat([header, body]);
+}
+
+/**
+ * ID3 text frame data
+ * @param {string} text
+ * @param {number} [encoding] - 0 Latin-1, 1 UTF-16 with BOM, 3 UTF-8
+ */
+function id3Text(text, encoding = 0) {
+    if (encoding === 1) {
+        return Buffer.concat([Buffer.from([1, 0xff, 0xfe]), Buffer.from(text, 'utf16le')]);
+    }
+    return Buffer.concat([Buffer.from([encoding]), Buffer.from(text, encoding === 3 ? 'utf8' : 'latin1')]);
+}
+
+/**
+ * APIC frame data
+ */
+function id3Picture(mime, type, data) {
+    return Buffer.concat([Buffer.from([0]), Buffer.from(`${mime}\0`, 'latin1'), Buffer.from([type]), Buffer.from('cover\0', 'latin1'), data]);
+}
+
+/**
+ * 128-byte ID3v1.1 tag
+ */
+function id3v1({ title, artist, album, track }) {
+    const tag = Buffer.alloc(128);
+    tag.write('TAG', 0, 'latin1');
+    tag.write(title, 3, 30, 'latin1');
+    tag.write(artist, 33, 30, 'latin1');
+    tag.write(album, 63, 30, 'latin1');
+    tag[126] = track;
+    return tag;
+}
+
+/**
+ * Vorbis comment block, as used by FLAC, Ogg Vorbis and Opus
+ * @param {string[]} comments - "KEY=value"
+ */
+function vorbisComments(comments) {
+    const vendor = Buffer.from('test', 'utf8');
+    return Buffer.concat([
+        uint32LE(vendor.length),
+        vendor,
+        uint32LE(comments.length),
+        ...comments.flatMap((comment) => {
+            const data = Buffer.from(comment, 'utf8');
+            return [uint32LE(data.length), data];
+        }),
+    ]);
+}
+
+/**
+ * FLAC PICTURE block data
+ */
+function flacPicture(mime, type, data) {
+    return Buffer.concat([
+        uint32BE(type),
+        uint32BE(mime.length),
+        Buffer.from(mime, 'latin1'),
+        uint32BE(0), // Description
+        Buffer.alloc(16), // Width, height, colour depth, palette size
+        uint32BE(data.length),
+        data,
+    ]);
+}
+
+/**
+ * FLAC stream with the given metadata blocks (STREAMINFO comes first)
+ * @param {[number, Buffer, number?][]} blocks - Type, data and an optional declared length
+ */
+function flac(blocks) {
+    const all = [[0, Buffer.alloc(34)], ...blocks];
+    return Buffer.concat([
+        Buffer.from('fLaC', 'latin1'),
+        ...all.flatMap(([type, data, declaredLength], i) => {
+            const header = Buffer.alloc(4);
+            header[0] = type | (i === all.length - 1 ? 0x80 : 0);
+            header.writeUIntBE(declaredLength ?? data.length, 1, 3);
+            return [header, data];
+        }),
+    ]);
+}
+
+/**
+ * One Ogg page holding whole packets
+ * @param {Buffer[]} packets
+ * @param {number} sequence
+ */
+function oggPage(packets, sequence) {
+    const lacing = [];
+    for (const packet of packets) {
+        let length = packet.length;
+        while (length >= 255) {
+            lacing.push(255);
+            length -= 255;
+        }
+        lacing.push(length);
+    }
+    const header = Buffer.alloc(27);
+    header.write('OggS', 0, 'latin1');
+    header[5] = sequence === 0 ? 0x02 : 0; // Beginning of stream
+    header.writeUInt32LE(1234, 14); // Serial
+    header.writeUInt32LE(sequence, 18);
+    header[26] = lacing.length;
+    return Buffer.concat([header, Buffer.from(lacing), ...packets]);
+}
+
+/**
+ * MP4 atom
+ * @param {string} type
+ * @param {...Buffer} children
+ */
+function atom(type, ...children) {
+    const content = Buffer.concat(children);
+    return Buffer.concat([uint32BE(8 + content.length), Buffer.from(type, 'latin1'), content]);
+}
+
+/**
+ * iTunes metadata item with one data atom
+ * @param {string} type - Item atom type, e.g. ©nam
+ * @param {number} dataType - 1 UTF-8, 0 binary, 13 JPEG, 14 PNG
+ * @param {Buffer} value
+ */
+function mp4Item(type, dataType, value) {
+    return atom(type, atom('data', uint32BE(dataType), Buffer.alloc(4), value));
+}
+
+function mp4(items) {
+    return Buffer.concat([
+        atom('ftyp', Buffer.from('M4A \0\0\0\0M4A ', 'latin1')),
+        atom('moov', atom('udta', atom('meta', Buffer.alloc(4), atom('ilst', ...items)))),
+        atom('mdat', Buffer.alloc(16)),
+    ]);
+}
+
+// Audio data the parsers have to skip
+const AUDIO = Buffer.alloc(64, 0x55);
+
+const FIXTURES = {
+    'id3v23.mp3': () => Buffer.concat([
+        id3(3, [
+            ['TIT2', id3Text('Title')],
+            ['TPE1', id3Text('Artïst', 1)],
+            ['TALB', id3Text('Album')],
+            ['TRCK', id3Text('3/12')],
+            ['APIC', id3Picture('image/jpeg', 0, JPEG)],
+            ['APIC', id3Picture('image/png', 3, PNG)],
+        ]),
+        AUDIO,
+    ]),
+    'id3v24.mp3': () => Buffer.concat([id3(4, [['TIT2', id3Text('Tïtle', 3)], ['TPE1', id3Text('One\0Two', 3)], ['TPOS', id3Text('2', 3)]]), AUDIO]),
+    'id3v22.mp3': () => Buffer.concat([id3(2, [['TT2', id3Text('Old Title')], ['TP1', id3Text('Old Artist')]]), AUDIO]),
+    'id3v1.mp3': () => Buffer.concat([AUDIO, id3v1({ title: 'V1 Title', artist: 'V1 Artist', album: 'V1 Album', track: 7 })]),
+    'vorbis.flac': () => Buffer.concat([
+        flac([
+            [4, vorbisComments(['TITLE=Flac Title', 'ARTIST=A', 'artist=B', 'TRACKNUMBER=5', 'ALBUMARTIST=Various'])],
+            [6, flacPicture('image/png', 3, PNG)],
+        ]),
+        AUDIO,
+    ]),
+    'vorbis.ogg': () => Buffer.concat([
+        oggPage([Buffer.concat([Buffer.from('\x01vorbis', 'latin1'), Buffer.alloc(23)])], 0),
+        oggPage([Buffer.concat([Buffer.from('\x03vorbis', 'latin1'), vorbisComments(['TITLE=Ogg Title', 'ALBUM=Ogg Album']), Buffer.from([1])])], 1),
+        AUDIO,
+    ]),
+    'opus.opus': () => Buffer.concat([
+        oggPage([Buffer.concat([Buffer.from('OpusHead', 'latin1'), Buffer.alloc(11)])], 0),
+        oggPage([Buffer.concat([Buffer.from('OpusTags', 'latin1'), vorbisComments(['TITLE=Opus Title', `DESCRIPTION=${'x'.repeat(600)}`])])], 1),
+        AUDIO,
+    ]),
+    'itunes.m4a': () => mp4([
+        mp4Item('\xa9nam', 1, Buffer.from('Mp4 Title', 'utf8')),
+        mp4Item('\xa9ART', 1, Buffer.from('Mp4 Artist', 'utf8')),
+        mp4Item('trkn', 0, Buffer.from([0, 0, 0, 4, 0, 10, 0, 0])),
+        mp4Item('covr', 14, PNG),
+    ]),
+};
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+test('ID3v2.3 text frames and the front cover', async () => {
+    const filePath = writeFixture('id3v23.mp3', FIXTURES['id3v23.mp3']());
+    assert.deepEqual(await readTags(filePath), { hasPicture: true, title: 'Title', artist: 'Artïst', album: 'Album', track: 3 });
+
+    const { picture } = await readTags(filePath, { picture: true });
+    assert.equal(picture.mime, 'image/png');
+    assert.equal(picture.type, 3);
+    assert.deepEqual(picture.data, PNG);
+});
+
+test('ID3v2.4 UTF-8 and multiple values', async () => {
+    const filePath = writeFixture('id3v24.mp3', FIXTURES['id3v24.mp3']());
+    assert.deepEqual(await readTags(filePath), { hasPicture: false, title: 'Tïtle', artist: 'One, Two', disc: 2 });
+});
+
+test('ID3v2.2 three-letter frames', async () => {
+    const filePath = writeFixture('id3v22.mp3', FIXTURES['id3v22.mp3']());
+    assert.deepEqual(await readTags(filePath), { hasPicture: false, title: 'Old Title', artist: 'Old Artist' });
+});
+
+test('ID3v1 at the end of the file', async () => {
+    const filePath = writeFixture('id3v1.mp3', FIXTURES['id3v1.mp3']());
+    assert.deepEqual(await readTags(filePath), { hasPicture: false, title: 'V1 Title', artist: 'V1 Artist', album: 'V1 Album', track: 7 });
+});
+
+test('FLAC Vorbis comments and picture block', async () => {
+    const filePath = writeFixture('vorbis.flac', FIXTURES['vorbis.flac']());
+    assert.deepEqual(await readTags(filePath), { hasPicture: true, title: 'Flac Title', artist: 'A, B', track: 5, albumArtist: 'Various' });
+    assert.deepEqual((await readTags(filePath, { picture: true })).picture, { mime: 'image/png', type: 3, data: PNG });
+});
+
+test('Ogg Vorbis and Opus comment headers', async () => {
+    assert.deepEqual(await readTags(writeFixture('vorbis.ogg', FIXTURES['vorbis.ogg']())), { hasPicture: false, title: 'Ogg Title', album: 'Ogg Album' });
+    // The comment packet spans several 255-byte segments
+    assert.deepEqual(await readTags(writeFixture('opus.opus', FIXTURES['opus.opus']())), { hasPicture: false, title: 'Opus Title' });
+});
+
+test('MP4 iTunes metadata', async () => {
+    const filePath = writeFixture('itunes.m4a', FIXTURES['itunes.m4a']());
+    assert.deepEqual(await readTags(filePath), { hasPicture: true, title: 'Mp4 Title', artist: 'Mp4 Artist', track: 4 });
+    assert.deepEqual((await readTags(filePath, { picture: true })).picture, { mime: 'image/png', data: PNG });
+});
+
+test('truncated files never throw', async () => {
+    for (const [name, build] of Object.entries(FIXTURES)) {
+        const data = build();
+        // Every prefix, so each length and offset field gets cut somewhere
+        for (let length = 0; length < data.length; length++) {
+            const filePath = writeFixture(`truncated-${name}`, data.subarray(0, length));
+            await assert.doesNotReject(readTags(filePath, { picture: true }), `${name} cut to ${length} bytes`);
+        }
+    }
+});
+
+test('oversized length fields are not trusted', async () => {
+    // ID3 tag and frame sizes far beyond the file
+    const hugeFrame = Buffer.concat([Buffer.from('TIT2', 'latin1'), uint32BE(0x7fffffff), Buffer.alloc(2), id3Text('Title')]);
+    const id3Tag = Buffer.concat([Buffer.from('ID3', 'latin1'), Buffer.from([3, 0, 0]), syncsafe(0x0fffffff), hugeFrame]);
+    assert.deepEqual(await readTags(writeFixture('huge-id3.mp3', id3Tag), { picture: true }), { hasPicture: false });
+
+    // FLAC comment block claiming 16 MB, then a comment count and a comment length of 4 GB
+    const comments = Buffer.concat([uint32LE(0), uint32LE(0xffffffff), uint32LE(10), Buffer.from('TITLE=Flac'), uint32LE(0xffffffff), Buffer.from('ARTIST=x')]);
+    const flacFile = flac([[4, comments, 0xffffff]]);
+    assert.deepEqual(await readTags(writeFixture('huge-comments.flac', flacFile), { picture: true }), { hasPicture: false, title: 'Flac' });
+
+    // FLAC picture whose MIME type length runs past the block
+    const picture = Buffer.concat([uint32BE(3), uint32BE(0xffffffff), Buffer.from('image/png')]);
+    const pictureFile = flac([[6, picture]]);
+    assert.deepEqual(await readTags(writeFixture('huge-picture.flac', pictureFile), { picture: true }), { hasPicture: true });
+
+    // MP4 atoms with 32- and 64-bit sizes far beyond the file
+    const hugeAtom = Buffer.concat([uint32BE(0xfffffff0), Buffer.from('moov', 'latin1'), atom('udta')]);
+    const mp4File = Buffer.concat([atom('ftyp', Buffer.from('M4A ', 'latin1')), hugeAtom]);
+    assert.deepEqual(await readTags(writeFixture('huge-atom.m4a', mp4File), { picture: true }), { hasPicture: false });
+    const largeSize = Buffer.concat([uint32BE(1), Buffer.from('moov', 'latin1'), Buffer.from('7fffffffffffffff', 'hex')]);
+    const largeFile = Buffer.concat([atom('ftyp', Buffer.from('M4A ', 'latin1')), largeSize]);
+    assert.deepEqual(await readTags(writeFixture('huge-large-atom.m4a', largeFile), { picture: true }), { hasPicture: false });
+});